@@ -1,6 +1,142 @@
 import './index.css';
 import { v4 as uuidv4 } from 'uuid';
 import toggleIcon from '../assets/toggleIcon.svg';
+import heading1Icon from '../assets/heading1Icon.svg';
+import heading2Icon from '../assets/heading2Icon.svg';
+import heading3Icon from '../assets/heading3Icon.svg';
+import chevronDownIcon from '../assets/chevronDownIcon.svg';
+import collapseIcon from '../assets/collapseIcon.svg';
+import copyIcon from '../assets/copyIcon.svg';
+import checkIcon from '../assets/checkIcon.svg';
+import accordionIcon from '../assets/accordionIcon.svg';
+import trashIcon from '../assets/trashIcon.svg';
+import isShortcut from './shortcuts';
+import createViewerState from './viewerState';
+import ToggleTreeIndex from './toggleTreeIndex';
+import buildToggleTree from './utils/tree';
+import normalize, { validate } from './utils/normalize';
+
+/**
+ * Editor elements that already listen to the toggle shortcuts
+ */
+const editorsWithShortcuts = new WeakSet();
+
+/**
+ * Editor elements that already reveal the blocks of the URL hash
+ */
+const editorsWithDeepLinks = new WeakSet();
+
+/**
+ * Returns the rendered toggles inside an editor holder, or its id,
+ * or every rendered toggle when it's omitted.
+ *
+ * @param {HTMLElement|string} [holder] - editor holder or its id
+ * @returns {Array<object>}
+ */
+const getRenderedToggles = (holder) => {
+  const container = typeof holder === 'string' ? document.getElementById(holder) : holder;
+
+  return ToggleTreeIndex.getAll()
+    .flatMap((index) => index.getToggleBlocks())
+    .filter((toggle) => !container || container.contains(toggle.wrapper));
+};
+
+/**
+ * Returns the triggers created from the trigger string: the trigger
+ * creates a toggle, followed by one to three '#' chars a heading toggle.
+ *
+ * @param {string} text - trigger string, e.g. '>'
+ * @returns {Array<{text: string, level: number}>}
+ */
+const getDefaultTriggers = (text) => [0, 1, 2, 3].map((level) => ({
+  text: `${text}${'#'.repeat(level)}`, level,
+}));
+
+/**
+ * Separator of the paragraphs of a pasted '<details>' body
+ */
+const PARAGRAPH_SEPARATOR = '\u2029';
+
+/**
+ * Returns true if the link URL is relative or uses a scheme that doesn't
+ * run scripts or embed content: http, https, mailto or tel.
+ *
+ * @param {string} url - href value
+ * @returns {boolean}
+ */
+const isSafeUrl = (url) => {
+  // The browsers ignore the spaces and control chars in the URLs
+  const scheme = Array.from(url).filter((char) => char > ' ').join('').match(/^([a-z][a-z\d+.-]*):/i);
+
+  return !scheme || ['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase());
+};
+
+/**
+ * Sanitize rules of the inline tools of the Editor.js ecosystem, applied
+ * to the toggle text on load with the 'sanitize' config
+ */
+const INLINE_SANITIZE_RULES = {
+  b: {},
+  i: {},
+  strong: {},
+  em: {},
+  s: {},
+  sub: {},
+  sup: {},
+  u: { class: true },
+  mark: { class: true },
+  code: { class: true },
+  a: { href: isSafeUrl, target: '_blank', rel: 'nofollow' },
+};
+
+/**
+ * Sanitize rule of the pasted '<details>' elements. The editor cleans
+ * their body with the toggle paste tags and the inline tools only, so
+ * the '<p>', '<div>' and '<br>' splitting the body are replaced by
+ * separators first, kept as text until 'getDataFromDetails'.
+ *
+ * @param {HTMLElement} details - pasted details element
+ * @returns {{open: boolean, name: boolean}} - allowed attributes
+ */
+const markDetailsParagraphs = (details) => {
+  Array.from(details.children).forEach((child) => {
+    if (child.nodeName === 'BR') {
+      child.replaceWith(PARAGRAPH_SEPARATOR);
+    } else if (child.nodeName === 'P' || child.nodeName === 'DIV') {
+      child.replaceWith(PARAGRAPH_SEPARATOR, ...child.childNodes, PARAGRAPH_SEPARATOR);
+    }
+  });
+
+  return { open: true, name: true };
+};
+
+/**
+ * Running animations of the blocks being shown or hidden
+ */
+const blockAnimations = new WeakMap();
+
+/**
+ * Returns true if the user asked the system to minimize the animations
+ *
+ * @returns {boolean}
+ */
+const prefersReducedMotion = () => Boolean(window.matchMedia?.('(prefers-reduced-motion: reduce)').matches);
+
+/**
+ * True while a toggle moves blocks by itself, so the 'moved' hook
+ * of the moved toggles doesn't handle those moves as user moves
+ */
+let isMovingToggle = false;
+
+/**
+ * Names of the events dispatched with each interaction callback
+ */
+const toggleEvents = {
+  onToggle: 'toggle-block:toggle',
+  onChildAdded: 'toggle-block:child-added',
+  onChildRemoved: 'toggle-block:child-removed',
+  onToggleRemoved: 'toggle-block:toggle-removed',
+};
 
 /**
  * ToggleBlock for the Editor.js
@@ -11,12 +147,16 @@ import toggleIcon from '../assets/toggleIcon.svg';
  * @description Tool's input and output data format
  * @property {string} text - toggle text
  * @property {string} status - toggle status
- * @property {array} items - toggle paragraphs
+ * @property {number} items - number of blocks nested directly in the toggle
+ * @property {number} [level] - heading level of the toggle root, from 1 to 3, 0 for a plain text
+ * @property {array} [children] - nested blocks ids or data, depending on the 'saveFormat' config
+ * @property {boolean} [accordion] - closes the sibling toggles when it's opened, overrides config
  */
 
 export default class ToggleBlock {
   /**
-   * Icon and title for displaying at the Toolbox
+   * Icon and title for displaying at the Toolbox.
+   * The title is translated by the editor through 'i18n.messages.toolNames'.
    * @returns {{tittle: string, icon: string}}
    */
   static get toolbox() {
@@ -26,6 +166,31 @@ export default class ToggleBlock {
     };
   }
 
+  /**
+   * Allows to convert the toggle root text from and to other blocks,
+   * like paragraphs, headers or list items.
+   *
+   * @returns {{import: string, export: string}}
+   */
+  static get conversionConfig() {
+    return {
+      import: 'text',
+      export: 'text',
+    };
+  }
+
+  /**
+   * Handles the pasted '<details>' elements, e.g. from GitHub READMEs,
+   * Notion or Confluence.
+   *
+   * @returns {{tags: Array<object>}}
+   */
+  static get pasteConfig() {
+    return {
+      tags: [{ details: markDetailsParagraphs, summary: {} }],
+    };
+  }
+
   /**
    * Disables the creation of new EditorJS blocks by pressing
    * 'enter' when in a toggle block.
@@ -34,6 +199,20 @@ export default class ToggleBlock {
     return true;
   }
 
+  /**
+   * Sanitize rules for the toggle root text. The editor merges them
+   * with the rules of the enabled inline tools (bold, italic, link...).
+   *
+   * @returns {{text: object}}
+   */
+  static get sanitize() {
+    return {
+      text: {
+        br: {},
+      },
+    };
+  }
+
   /**
    * Notify core that the read-only mode is supported
    *
@@ -43,6 +222,114 @@ export default class ToggleBlock {
     return true;
   }
 
+  /**
+   * Returns a repaired copy of a saved document whose toggles don't match
+   * their nested blocks, with the list of the fixes applied.
+   *
+   * @param {object} outputData - Editor.js output data
+   * @param {{toggleType: string}} [options] - tool name of the toggles, 'toggle' by default
+   * @returns {{data: object, fixes: Array<object>}}
+   */
+  static normalize(outputData, options) {
+    return normalize(outputData, options);
+  }
+
+  /**
+   * Returns the problems found in the toggles of a saved document,
+   * an empty list when the document is consistent.
+   *
+   * @param {object} outputData - Editor.js output data
+   * @param {{toggleType: string}} [options] - tool name of the toggles, 'toggle' by default
+   * @returns {Array<object>}
+   */
+  static validate(outputData, options) {
+    return validate(outputData, options);
+  }
+
+  /**
+   * Opens every toggle.
+   *
+   * @param {HTMLElement|string} [holder] - editor holder or its id, all the editors by default
+   */
+  static expandAll(holder) {
+    ToggleBlock.setStatusOfToggles(() => 'open', holder);
+  }
+
+  /**
+   * Closes every toggle.
+   *
+   * @param {HTMLElement|string} [holder] - editor holder or its id, all the editors by default
+   */
+  static collapseAll(holder) {
+    ToggleBlock.setStatusOfToggles(() => 'closed', holder);
+  }
+
+  /**
+   * Opens the toggles nested less than 'level' levels and closes the others,
+   * e.g. with level 1 only the top level toggles are open.
+   *
+   * @param {number} level - number of levels to open
+   * @param {HTMLElement|string} [holder] - editor holder or its id, all the editors by default
+   */
+  static expandToLevel(level, holder) {
+    ToggleBlock.setStatusOfToggles((toggle) => (toggle.getDepth() < level ? 'open' : 'closed'), holder);
+  }
+
+  /**
+   * Sets the status of every toggle, then hides and shows their blocks
+   * starting from the top level toggles.
+   *
+   * @param {Function} getStatus - returns the new status of a toggle
+   * @param {HTMLElement|string} [holder] - editor holder or its id
+   */
+  static setStatusOfToggles(getStatus, holder) {
+    const instances = getRenderedToggles(holder);
+
+    instances.forEach((toggle) => toggle.setStatus(getStatus(toggle)));
+    instances
+      .filter((toggle) => toggle.getDepth() === 0)
+      .forEach((toggle) => toggle.hideAndShowBlocks(toggle.wrapper.id, toggle.data.status, true));
+  }
+
+  /**
+   * Opens the toggles a block is nested in and scrolls to it. The closed
+   * toggles that keep their children by the 'lazyChildren' config are
+   * opened first, so their nested blocks are inserted.
+   * Resolves to false when the block isn't found.
+   *
+   * @param {string} blockId - Editor.js block id
+   * @param {HTMLElement|string} [holder] - editor holder or its id, all the editors by default
+   * @returns {Promise<boolean>}
+   */
+  static revealBlock(blockId, holder) {
+    const instances = getRenderedToggles(holder);
+    const editors = new Set(instances.map((toggle) => toggle.getRedactor()));
+    const block = Array.from(editors)
+      .flatMap((redactor) => Array.from(redactor.querySelectorAll('.ce-block')))
+      .find((element) => element.dataset.id === blockId);
+
+    if (block) {
+      const toggle = instances.find((instance) => instance.getRedactor().contains(block));
+      toggle.revealHolder(block, instances);
+      return Promise.resolve(true);
+    }
+
+    const lazyToggle = instances.find((toggle) => toggle.hasPendingChild(blockId));
+
+    if (!lazyToggle) return Promise.resolve(false);
+
+    lazyToggle.revealHolder(lazyToggle.wrapper.closest('.ce-block'), instances, false);
+    lazyToggle.setStatus('open');
+    lazyToggle.hideAndShowBlocks(lazyToggle.wrapper.id, 'open', true);
+
+    if (lazyToggle.pendingChildren) return Promise.resolve(false);
+
+    // The inserted toggles render their own items after a tick
+    return new Promise((resolve) => {
+      setTimeout(resolve);
+    }).then(() => ToggleBlock.revealBlock(blockId, holder));
+  }
+
   /**
    * Render tool`s main Element and fill it with saved data
    *
@@ -60,6 +347,12 @@ export default class ToggleBlock {
       fk: data.fk || `fk-${uuidv4()}`,
       items: data.items || 0,
     };
+    if (Array.isArray(data.children)) {
+      this.data.children = data.children;
+    }
+    if (typeof data.accordion === 'boolean') {
+      this.data.accordion = data.accordion;
+    }
     this.itemsId = [];
     this.api = api;
     const {
@@ -80,13 +373,203 @@ export default class ToggleBlock {
     this.move = move;
     this.wrapper = undefined;
     this.readOnly = readOnly || false;
-    this.placeholder = config?.placeholder ?? 'Toggle';
-    this.defaultContent = config?.defaultContent ?? 'Empty toggle. Click or drop blocks inside.';
+    this.placeholder = config?.placeholder ?? this.translate('Toggle');
+    this.defaultContent = config?.defaultContent ?? this.translate('Empty toggle. Click or drop blocks inside.');
+    this.saveFormat = config?.saveFormat ?? 'count';
+    this.animationDuration = config?.animationDuration ?? 200;
+    this.lazyChildren = config?.lazyChildren === true && this.saveFormat === 'tree';
+    this.deepLinks = config?.deepLinks ?? false;
+    this.accordion = config?.accordion ?? false;
+    this.icons = {
+      collapsed: config?.icons?.collapsed ?? toggleIcon,
+      expanded: config?.icons?.expanded,
+    };
+    this.viewerState = createViewerState(config?.viewerState);
+    this.callbacks = {
+      onToggle: config?.onToggle,
+      onChildAdded: config?.onChildAdded,
+      onChildRemoved: config?.onChildRemoved,
+      onToggleRemoved: config?.onToggleRemoved,
+    };
+    this.defaultStatus = this.data.status;
+    this.setInitialLevel(data.level ?? config?.defaultLevel);
+    this.shortcuts = {
+      expandAll: 'CMD+ALT+ArrowDown',
+      collapseAll: 'CMD+ALT+ArrowUp',
+      expandToLevel: 'CMD+ALT',
+      toggleStatus: 'CMD+Enter',
+      exitToggle: 'Escape',
+      moveToggleUp: 'ALT+SHIFT+ArrowUp',
+      moveToggleDown: 'ALT+SHIFT+ArrowDown',
+      ...config?.shortcuts,
+    };
+    this.triggers = [
+      ...(config?.trigger === false ? [] : getDefaultTriggers(config?.trigger ?? '>')),
+      ...(config?.triggers ?? []),
+    ];
+    this.sanitizeConfig = {
+      ...ToggleBlock.sanitize.text,
+      ...INLINE_SANITIZE_RULES,
+      ...config?.sanitize,
+    };
+    this.data.text = this.sanitizeText(this.data.text);
+    this.applyViewerStatus();
     this.addListeners();
     this.addSupportForUndoAndRedoActions();
     this.addSupportForDragAndDropActions();
   }
 
+  /**
+   * Translates a user-visible string through the Editor.js i18n API, using
+   * the 'i18n.messages.tools.<tool name>' dictionary. The English string
+   * is returned when there's no translation.
+   *
+   * @param {string} text - English string
+   * @returns {string}
+   */
+  translate(text) {
+    return this.api.i18n?.t(text) ?? text;
+  }
+
+  /**
+   * Returns the element that holds the blocks of the toggle's editor.
+   * The lookups and listeners are scoped to it, so several editors
+   * can be used on the same page.
+   *
+   * @returns {HTMLDivElement}
+   */
+  getRedactor() {
+    return this.api.ui.nodes.redactor;
+  }
+
+  /**
+   * Returns the index of the toggle structure of the editor.
+   *
+   * @returns {ToggleTreeIndex}
+   */
+  getTreeIndex() {
+    return ToggleTreeIndex.of(this.getRedactor());
+  }
+
+  /**
+   * Returns the holders of the blocks nested directly in a toggle.
+   *
+   * @param {string} fk - The id of the Toggle
+   * @returns {Array<HTMLDivElement>}
+   */
+  getChildHolders(fk = this.wrapper.id) {
+    return this.getTreeIndex().getChildren(fk);
+  }
+
+  /**
+   * Returns the toggle element of the editor with the given id.
+   *
+   * @param {string} fk - The id of the Toggle
+   * @returns {HTMLDivElement|null}
+   */
+  getToggleElement(fk) {
+    return this.getTreeIndex().getToggle(fk);
+  }
+
+  /**
+   * Returns the rendered toggle of the editor with the given id.
+   *
+   * @param {string} fk - The id of the Toggle
+   * @returns {ToggleBlock|undefined}
+   */
+  getToggleInstance(fk) {
+    return this.getTreeIndex().getToggleBlock(fk);
+  }
+
+  /**
+   * Returns the Editor.js id of a block.
+   *
+   * @param {HTMLDivElement} holder - block holder
+   * @returns {string|undefined}
+   */
+  getBlockId(holder) {
+    return holder.dataset.id ?? this.getBlockByIndex(this.getIndex(holder))?.id;
+  }
+
+  /**
+   * Calls the config callback of a toggle interaction and dispatches the
+   * matching bubbling event, from the toggle holder or from the editor
+   * when the toggle isn't in the document anymore.
+   *
+   * @param {string} callback - 'onToggle', 'onChildAdded', 'onChildRemoved' or 'onToggleRemoved'
+   * @param {object} detail - payload with the toggle 'fk'
+   */
+  emitEvent(callback, detail) {
+    const holder = this.getToggleElement(detail.fk)?.closest('.ce-block');
+    const target = holder ?? this.getRedactor();
+
+    this.callbacks[callback]?.(detail);
+    target.dispatchEvent(new CustomEvent(toggleEvents[callback], { bubbles: true, detail }));
+  }
+
+  /**
+   * Shows the toggle with the status stored by the viewer, if there's one.
+   * The saved status is kept as the author's default.
+   */
+  applyViewerStatus() {
+    if (!this.viewerState) return;
+
+    const applyStatus = (status) => {
+      if (status !== 'open' && status !== 'closed') return;
+
+      if (!this.wrapper) {
+        this.data.status = status;
+        return;
+      }
+
+      const holder = this.wrapper.closest('.ce-block');
+      this.setStatus(status);
+      this.hideAndShowBlocks(this.wrapper.id, holder?.hidden ? 'closed' : status);
+    };
+    const status = this.viewerState.get(this.data.fk);
+
+    if (typeof status?.then === 'function') {
+      status.then(applyStatus, () => {});
+    } else {
+      applyStatus(status);
+    }
+  }
+
+  /**
+   * Returns the status saved in the document. With the viewer state,
+   * it's the author's default instead of the status shown to the viewer.
+   *
+   * @returns {string}
+   */
+  getDefaultStatus() {
+    return this.viewerState ? this.defaultStatus : this.data.status;
+  }
+
+  /**
+   * Sets the heading level from the saved data or the 'defaultLevel' config.
+   * Levels out of the 1 to 3 range render a plain text toggle.
+   *
+   * @param {number|undefined} level - heading level
+   */
+  setInitialLevel(level) {
+    if (level === undefined || level === null) return;
+
+    const value = Number(level);
+    this.data.level = [1, 2, 3].includes(value) ? value : 0;
+  }
+
+  /**
+   * Cleans the toggle root text from the markup not allowed by the
+   * inline tools, like the editor does on save. The rules of the custom
+   * inline tools are added through the 'sanitize' config.
+   *
+   * @param {string} text - toggle text
+   * @returns {string}
+   */
+  sanitizeText(text) {
+    return this.api.sanitizer.clean(text, this.sanitizeConfig);
+  }
+
   /**
    * Returns true if the div element is a toggle child, otherwise, returns false
    * @param {HTMLDivElement} holder
@@ -117,7 +600,9 @@ export default class ToggleBlock {
    * @param {KeyboardEvent} e - key up event
    */
   createParagraphFromToggleRoot(e) {
-    if (e.code === 'Enter') {
+    if (e.code === 'Enter' && this.isTogglingWithKeyboard) {
+      this.isTogglingWithKeyboard = false;
+    } else if (e.code === 'Enter') {
       const currentPosition = document.getSelection().focusOffset;
       const originalIndex = this.api.blocks.getCurrentBlockIndex();
       const block = this.api.blocks.getBlockByIndex(originalIndex);
@@ -131,7 +616,7 @@ export default class ToggleBlock {
 
       if (this.data.status === 'closed') {
         this.resolveToggleAction();
-        this.hideAndShowBlocks();
+        this.hideAndShowBlocks(this.wrapper.id, this.data.status, true);
       }
 
       const newText = content.slice(end + 4, currentPosition.focusOffset);
@@ -151,13 +636,16 @@ export default class ToggleBlock {
 
   /**
    * Gets the index of the new block, then assigns the required properties,
-   * and finally sends the focus.
+   * and finally sends the focus. The 'onChildAdded' callback is called
+   * when the block is nested, unless 'notify' is false, e.g. when the
+   * saved children are rendered.
    */
-  setAttributesToNewBlock(entryIndex = null, foreignKey = this.wrapper.id) {
+  setAttributesToNewBlock(entryIndex = null, foreignKey = this.wrapper.id, notify = true) {
     const index = entryIndex === null ? this.api.blocks.getCurrentBlockIndex() : entryIndex;
     const id = uuidv4();
 
     const newBlock = this.api.blocks.getBlockByIndex(index);
+    const isNewChild = this.getTreeIndex().getParent(newBlock.holder) !== foreignKey;
 
     if (!this.itemsId.includes(newBlock.id)) {
       this.itemsId.splice(index - 1, 0, newBlock.id);
@@ -168,10 +656,19 @@ export default class ToggleBlock {
     const item = content.firstChild;
 
     holder.setAttribute('foreignKey', foreignKey);
+    this.getTreeIndex().setParent(holder, foreignKey);
     holder.setAttribute('id', id);
+    holder.setAttribute('role', 'region');
+    holder.setAttribute('aria-labelledby', `${foreignKey}-text`);
 
     holder.classList.add('toggle-block__item');
 
+    if (foreignKey === this.wrapper.id) this.updateAriaControls();
+
+    if (notify && isNewChild) {
+      this.emitEvent('onChildAdded', { fk: foreignKey, blockId: newBlock.id });
+    }
+
     if (!this.readOnly) {
       holder.onkeydown = this.setEventsToNestedBlock.bind(this);
       item.focus();
@@ -192,6 +689,9 @@ export default class ToggleBlock {
       const nestedBlock = this.getBlockByIndex(indexBlock);
       const { holder } = nestedBlock;
 
+      if (isShortcut(e, this.shortcuts.exitToggle)) {
+        this.focusToggleRoot(holder);
+      }
       if (e.code === 'Tab' && e.shiftKey) {
         this.extractBlock(indexBlock);
       }
@@ -202,6 +702,84 @@ export default class ToggleBlock {
     }
   }
 
+  /**
+   * Handles the shortcuts of the toggle root: opens or closes the toggle,
+   * and moves it up or down with its nested blocks.
+   *
+   * @param {KeyboardEvent} e - key down event
+   */
+  handleRootShortcuts(e) {
+    const moveDirection = [
+      isShortcut(e, this.shortcuts.moveToggleDown),
+      isShortcut(e, this.shortcuts.moveToggleUp),
+    ].indexOf(true);
+
+    if (isShortcut(e, this.shortcuts.toggleStatus)) {
+      e.preventDefault();
+      e.stopPropagation();
+
+      // The key up event of the 'Enter' key doesn't create a paragraph
+      this.isTogglingWithKeyboard = true;
+      this.resolveToggleAction();
+      this.hideAndShowBlocks(this.wrapper.id, this.data.status, true);
+    } else if (moveDirection !== -1) {
+      e.preventDefault();
+      e.stopPropagation();
+      this.moveWithKeyboard(moveDirection);
+    }
+  }
+
+  /**
+   * Moves the toggle with its nested blocks one position up or down,
+   * through 'moveToggle', and keeps the caret in the toggle root.
+   *
+   * @param {number} direction - 0: move down, 1: move up
+   */
+  moveWithKeyboard(direction) {
+    const holder = this.wrapper.closest('.ce-block');
+    const index = this.getIndex(holder);
+    const endIndex = index + this.getDecendentsNumber(this.wrapper.id);
+    const canMove = direction === 0 ? endIndex < this.getBlocksCount() - 1 : index > 0;
+
+    if (!canMove) return;
+
+    this.moveToggle(index, direction, index);
+    this.api.caret.setToBlock(this.getIndex(holder), 'end');
+  }
+
+  /**
+   * Sets the caret at the end of the root of the toggle a block is nested in.
+   *
+   * @param {HTMLDivElement} holder - nested block holder
+   */
+  focusToggleRoot(holder) {
+    const fk = this.getTreeIndex().getParent(holder);
+    const root = fk ? this.getToggleElement(fk)?.closest('.ce-block') : null;
+
+    if (root) this.api.caret.setToBlock(this.getIndex(root), 'end');
+  }
+
+  /**
+   * Moves the caret out of the hidden blocks of the closed toggles, when
+   * the editor moved it into one of them from the block at 'previousIndex'.
+   * The caret keeps going in the same direction to the next visible block.
+   *
+   * @param {number} previousIndex - index of the block that had the caret
+   */
+  skipHiddenBlocks(previousIndex) {
+    const index = this.getCurrentBlockIndex();
+
+    if (index === previousIndex || !this.getBlockByIndex(index)?.holder.hidden) return;
+
+    const step = index > previousIndex ? 1 : -1;
+    const isInEditor = (position) => position >= 0 && position < this.getBlocksCount();
+    let next = index;
+
+    while (isInEditor(next) && this.getBlockByIndex(next).holder.hidden) next += step;
+
+    this.api.caret.setToBlock(isInEditor(next) ? next : previousIndex, step > 0 ? 'start' : 'end');
+  }
+
   /**
    * When a nested block is removed, the 'items' attribute
    * is updated, subtracting from it an unit.
@@ -228,67 +806,182 @@ export default class ToggleBlock {
   }
 
   /**
-   * Removes all properties of a nested block.
+   * Removes all properties of a nested block and calls
+   * the 'onChildRemoved' callback.
    *
    * @param {number} destiny - block position
    */
   removeAttributesFromNewBlock(destiny) {
     const newBlock = this.api.blocks.getBlockByIndex(destiny);
     const { holder } = newBlock;
+    const fk = this.getTreeIndex().getParent(holder);
 
     if (!this.itemsId.includes(newBlock.id)) {
       const i = this.itemsId.indexOf(newBlock.id);
       this.itemsId.splice(i, 1);
     }
 
+    this.removeAttributesFromHolder(holder);
+
+    if (fk !== null) this.emitEvent('onChildRemoved', { fk, blockId: newBlock.id });
+  }
+
+  /**
+   * Removes the properties that make a block holder part of a toggle.
+   *
+   * @param {HTMLDivElement} holder - block holder
+   */
+  removeAttributesFromHolder(holder) {
     holder.removeAttribute('foreignKey');
+    this.getTreeIndex().removeChild(holder);
     holder.removeAttribute('id');
+    holder.removeAttribute('role');
+    holder.removeAttribute('aria-labelledby');
     holder.onkeydown = {};
     holder.onkeyup = {};
     holder.classList.remove('toggle-block__item');
   }
 
   /**
-   * Creates a toggle block view without paragraphs
-   * and sets the default content.
+   * Called by the editor when the toggle root is removed from the document
+   * without its nested blocks, e.g. when it's deleted or converted into
+   * another block. Its children are unwrapped and kept as regular blocks
+   * after it.
    */
-  createToggle() {
-    this.wrapper = document.createElement('div');
-    this.wrapper.classList.add('toggle-block__selector');
-    this.wrapper.id = this.data.fk;
-
-    const icon = document.createElement('span');
-    const input = document.createElement('div');
-    const defaultContent = document.createElement('div');
+  removed() {
+    if (this.wrapper === undefined) return;
 
-    icon.classList.add('toggle-block__icon');
-    icon.innerHTML = toggleIcon;
+    this.getTreeIndex().removeToggle(this.wrapper.id, this.wrapper);
 
-    input.classList.add('toggle-block__input');
-    input.setAttribute('contentEditable', !this.readOnly);
-    input.innerHTML = this.data.text || '';
+    const children = this.getChildHolders();
+    const blockIds = children.map((child) => this.getBlockId(child));
 
-    // Events
-    if (!this.readOnly) {
-      // Events to create other blocks and destroy the toggle
-      input.addEventListener('keyup', this.createParagraphFromToggleRoot.bind(this));
-      input.addEventListener('keydown', this.removeToggle.bind(this));
+    children.forEach((child) => {
+      this.removeAttributesFromHolder(child);
+      child.hidden = false;
 
-      // Sets the focus at the end of the text when a nested block is deleted with the backspace key
-      input.addEventListener('focusin', () => this.setFocusToggleRootAtTheEnd());
+      // Nested toggles keep their children, shown according to their own status
+      const toggle = child.querySelector('.toggle-block__selector');
+      if (toggle) {
+        this.hideAndShowBlocks(toggle.getAttribute('id'), child.getAttribute('status'));
+      }
+    });
 
-      // Establishes the placeholder for the toggle root when it's empty
-      input.addEventListener('keyup', this.setPlaceHolder.bind(this));
-      input.setAttribute('placeholder', this.placeholder);
+    this.emitEvent('onToggleRemoved', { fk: this.wrapper.id, blockIds });
+  }
 
-      // Calculates the number of toggle items
-      input.addEventListener('focus', this.setDefaultContent.bind(this));
-      input.addEventListener('focusout', this.setDefaultContent.bind(this));
+  /**
+   * Fills the toggle with a pasted '<details>' element. The summary
+   * becomes the toggle root, the body is inserted as nested blocks
+   * and the 'open' attribute is kept as the toggle status.
+   *
+   * @param {CustomEvent} event - paste event
+   */
+  onPaste(event) {
+    const {
+      text: pastedText, status, children, accordion,
+    } = this.getDataFromDetails(event.detail.data);
+    const text = this.sanitizeText(pastedText);
+    const holder = this.wrapper.closest('.ce-block');
+
+    Object.assign(this.data, { text, status, children });
+    if (accordion) this.data.accordion = accordion;
+    this.defaultStatus = status;
+    this.wrapper.children[1].innerHTML = text;
+    this.setInitialTransition();
+
+    if (holder) {
+      holder.setAttribute('status', status);
+      this.renderChildren(this.getIndex(holder));
+    }
+    delete this.data.children;
+
+    this.hideAndShowBlocks();
+    this.setDefaultContent();
+  }
+
+  /**
+   * Returns the toggle data of a '<details>' element. The body content is
+   * split into paragraphs, at its block elements or at the separators left
+   * by the paste sanitize rule, and the nested '<details>' into nested toggles,
+   * both embedded as 'children'. A 'name' attribute enables the accordion mode.
+   *
+   * @param {HTMLElement} details - details element
+   * @returns {ToggleBlockData}
+   */
+  getDataFromDetails(details) {
+    const nodes = Array.from(details.childNodes);
+    const summary = nodes.find((node) => node.nodeName === 'SUMMARY');
+    const children = [];
+    let paragraph = document.createElement('div');
+
+    const addParagraph = (content) => {
+      const text = content.innerHTML.trim();
+      if (text) children.push({ type: 'paragraph', data: { text } });
+    };
+
+    const splitParagraph = () => {
+      addParagraph(paragraph);
+      paragraph = document.createElement('div');
+    };
+
+    nodes.filter((node) => node !== summary).forEach((node) => {
+      if (['DETAILS', 'P', 'DIV', 'BR'].includes(node.nodeName)) splitParagraph();
+
+      if (node.nodeType === Node.TEXT_NODE) {
+        node.data.split(PARAGRAPH_SEPARATOR).forEach((text, index) => {
+          if (index > 0) splitParagraph();
+          paragraph.appendChild(document.createTextNode(text));
+        });
+      } else if (node.nodeName === 'DETAILS') {
+        children.push({ type: 'toggle', data: this.getDataFromDetails(node) });
+      } else if (node.nodeName === 'P' || node.nodeName === 'DIV') {
+        addParagraph(node);
+      } else if (node.nodeName !== 'BR') {
+        paragraph.appendChild(node.cloneNode(true));
+      }
+    });
+    addParagraph(paragraph);
+
+    const data = {
+      text: summary ? summary.innerHTML.trim() : '',
+      status: details.hasAttribute('open') ? 'open' : 'closed',
+      children,
+    };
 
+    // The '<details>' elements grouped by a 'name' work as an accordion
+    if (details.hasAttribute('name')) data.accordion = true;
+
+    return data;
+  }
+
+  /**
+   * Creates a toggle block view without paragraphs
+   * and sets the default content.
+   */
+  createToggle() {
+    this.wrapper = document.createElement('div');
+    this.wrapper.classList.add('toggle-block__selector');
+    this.wrapper.id = this.data.fk;
+    this.wrapper.dataset.status = this.data.status;
+
+    const icon = document.createElement('span');
+    const input = this.createInput();
+    const defaultContent = document.createElement('div');
+
+    icon.classList.add('toggle-block__icon');
+    icon.classList.toggle('toggle-block__icon--swapped', Boolean(this.icons.expanded));
+    icon.innerHTML = this.getStatusIcon();
+    icon.setAttribute('role', 'button');
+    icon.setAttribute('tabindex', 0);
+    icon.setAttribute('aria-expanded', this.data.status !== 'closed');
+    icon.setAttribute('aria-labelledby', `${this.data.fk}-text`);
+
+    input.innerHTML = this.data.text || '';
+
+    if (!this.readOnly) {
       // Event to add a block when the default content is clicked
       defaultContent.addEventListener('click', this.clickInDefaultContent.bind(this));
-
-      input.addEventListener('focus', this.setNestedBlockAttributes.bind(this));
     }
 
     defaultContent.classList.add('toggle-block__content-default', 'toggle-block__hidden');
@@ -299,6 +992,77 @@ export default class ToggleBlock {
     this.wrapper.appendChild(defaultContent);
   }
 
+  /**
+   * Creates the editable element of the toggle root, a div or a heading
+   * according to the toggle level, with the events of the toggle root.
+   *
+   * @returns {HTMLElement}
+   */
+  createInput() {
+    const input = document.createElement(this.data.level ? `h${this.data.level}` : 'div');
+
+    input.id = `${this.data.fk}-text`;
+    input.classList.add('toggle-block__input');
+    input.setAttribute('contentEditable', !this.readOnly);
+
+    // Events
+    if (!this.readOnly) {
+      // Events to create other blocks and destroy the toggle
+      input.addEventListener('keyup', this.createParagraphFromToggleRoot.bind(this));
+      input.addEventListener('keydown', this.removeToggle.bind(this));
+      input.addEventListener('keydown', this.handleRootShortcuts.bind(this));
+
+      // Sets the focus at the end of the text when a nested block is deleted with the backspace key
+      input.addEventListener('focusin', () => this.setFocusToggleRootAtTheEnd());
+
+      // Establishes the placeholder for the toggle root when it's empty
+      input.addEventListener('keyup', this.setPlaceHolder.bind(this));
+      input.setAttribute('placeholder', this.placeholder);
+
+      // Calculates the number of toggle items
+      input.addEventListener('focus', this.setDefaultContent.bind(this));
+      input.addEventListener('focusout', this.setDefaultContent.bind(this));
+
+      input.addEventListener('focus', this.setNestedBlockAttributes.bind(this));
+    }
+
+    return input;
+  }
+
+  /**
+   * Changes the heading level of the toggle root, keeping its text.
+   *
+   * @param {number} level - heading level from 1 to 3, 0 for a plain text
+   */
+  setLevel(level) {
+    const currentInput = this.wrapper.children[1];
+
+    this.data.level = level;
+
+    const input = this.createInput();
+    input.innerHTML = currentInput.innerHTML;
+    currentInput.replaceWith(input);
+  }
+
+  /**
+   * Returns the tunes to switch the toggle root between a plain text
+   * and a heading.
+   *
+   * @returns {Array<object>}
+   */
+  getLevelTunes() {
+    const icons = [toggleIcon, heading1Icon, heading2Icon, heading3Icon];
+
+    return [0, 1, 2, 3].map((level) => ({
+      icon: icons[level],
+      label: this.translate(level ? `Heading ${level}` : 'Text'),
+      toggle: 'level',
+      isActive: (this.data.level || 0) === level,
+      closeOnActivate: true,
+      onActivate: () => this.setLevel(level),
+    }));
+  }
+
   /**
    * Sets the focus at the end of the toggle root when
    * a nested block is deleted through the backspace key.
@@ -325,239 +1089,787 @@ export default class ToggleBlock {
   }
 
   /**
-   * Sets the default content. If the toggle has no other blocks inside it,
-   * so sets the 'block__hidden tag' in the default content,
-   * otherwise it removes it.
+   * Sets the default content. If the toggle has no other blocks inside it,
+   * so sets the 'block__hidden tag' in the default content,
+   * otherwise it removes it. The empty toggles get the
+   * 'toggle-block__selector--empty' class.
+   */
+  setDefaultContent() {
+    const children = this.getChildHolders();
+    const { lastChild } = this.wrapper;
+    const { status } = this.data;
+    const hasChildren = children.length > 0 || Boolean(this.pendingChildren);
+    const value = (hasChildren || status === 'closed');
+
+    lastChild.classList.toggle('toggle-block__hidden', value);
+    this.wrapper.classList.toggle('toggle-block__selector--empty', !hasChildren);
+  }
+
+  /**
+   * Deletes the toggle structure and converts the main text and the nested blocks
+   * in regular blocks.
+   *
+   * @param {KeyboardEvent} e - key down event
+   */
+  removeToggle(e) {
+    if (e.code === 'Backspace') {
+      const { children } = this.wrapper;
+      const content = children[1].innerHTML;
+
+      const cursorPosition = document.getSelection();
+
+      if (cursorPosition.focusOffset === 0) {
+        const index = this.api.blocks.getCurrentBlockIndex();
+        const breakLine = content.indexOf('<br>');
+        const end = breakLine === -1 ? content.length : breakLine;
+        const blocks = this.getChildHolders();
+
+        for (let i = 1; i < blocks.length + 1; i += 1) {
+          this.removeAttributesFromNewBlock(index + i);
+        }
+
+        this.api.blocks.delete(index);
+        this.api.blocks.insert('paragraph', { text: content.slice(0, end) }, {}, index, 1);
+        this.api.caret.setToBlock(index);
+      }
+    }
+  }
+
+  /**
+  * Returns the toggle's root index, given the index of one of its children
+  *
+  * @param {number} entryIndex - block index
+  * @param {String} fk - The block's foreign key
+  * @returns {number} The Toggle's root index
+  */
+  findToogleRootIndex(entryIndex, fk) {
+    const holder = this.getToggleElement(fk)?.closest('.ce-block');
+
+    return holder && this.getIndex(holder) <= entryIndex ? this.getIndex(holder) : -1;
+  }
+
+  /**
+   * Extracts a nested block from a toggle
+   * with 'shift + tab' combination
+   *
+   * The block, with its own nested blocks if it's a toggle, is moved after
+   * the nested blocks of its toggle and goes up exactly one level: it's
+   * nested in the toggle that contains its toggle, if there's one.
+   *
+   * @param {number} entryIndex - Block's index that will be extracted
+   */
+  extractBlock(entryIndex) {
+    const block = this.getBlockByIndex(entryIndex);
+    const { holder } = block;
+    const fk = this.getTreeIndex().getParent(holder);
+    let blockIndex = entryIndex;
+
+    if (fk !== null) {
+      const parentIndex = this.findToogleRootIndex(entryIndex, fk);
+      if (parentIndex >= 0) {
+        const items = this.getDecendentsNumber(fk);
+        const destiny = parentIndex + items;
+        const parentHolder = this.getBlockByIndex(parentIndex).holder;
+        const grandParent = this.getToggleInstance(this.getTreeIndex().getParent(parentHolder));
+
+        this.ignoreMoves(() => this.moveWithDescendants(holder, destiny));
+        blockIndex = this.getIndex(holder);
+
+        setTimeout(() => this.changeParent(holder, grandParent), 200);
+      }
+    }
+    this.api.caret.setToBlock(blockIndex);
+    this.api.toolbar.close();
+  }
+
+  /**
+   * Nests a block of the toggle in the toggle placed just before it,
+   * in the same toggle, with 'tab'. The block already follows the nested
+   * blocks of that toggle, so it only goes one level down.
+   *
+   * @param {HTMLDivElement} holder - nested block holder
+   */
+  indentBlock(holder) {
+    const toggle = this.getPreviousToggle(holder);
+
+    if (toggle) this.nestInToggle([holder], toggle);
+  }
+
+  /**
+   * Returns the toggle placed just before a block at the same level,
+   * i.e. nested in the same toggle or at the top level of the document.
+   *
+   * @param {HTMLDivElement} holder - block holder
+   * @returns {ToggleBlock|undefined}
+   */
+  getPreviousToggle(holder) {
+    const index = this.getTreeIndex();
+    const fk = index.getParent(holder);
+    let previous = holder.previousElementSibling;
+
+    // The blocks nested deeper belong to the toggles placed before the block
+    while (previous && index.getParent(previous) !== fk) {
+      previous = this.getParentHolder(previous);
+    }
+
+    const toggleId = previous?.querySelector('.toggle-block__selector')?.id;
+
+    return toggleId ? this.getToggleInstance(toggleId) : undefined;
+  }
+
+  /**
+   * Returns the toggle placed just after a block and its nested blocks,
+   * at the same level.
+   *
+   * @param {HTMLDivElement} holder - block holder
+   * @returns {ToggleBlock|undefined}
+   */
+  getNextToggle(holder) {
+    const index = this.getTreeIndex();
+    const fk = index.getParent(holder);
+    const toggleId = holder.querySelector('.toggle-block__selector')?.id;
+    const descendants = toggleId ? this.getDescendantHolders(toggleId) : [];
+    let next = holder.nextElementSibling;
+
+    while (next && descendants.includes(next)) {
+      next = next.nextElementSibling;
+    }
+
+    if (!next || index.getParent(next) !== fk) return undefined;
+
+    const nextId = next.querySelector('.toggle-block__selector')?.id;
+
+    return nextId ? this.getToggleInstance(nextId) : undefined;
+  }
+
+  /**
+   * Returns the holder of the toggle root a block is nested in.
+   *
+   * @param {HTMLDivElement} holder - block holder
+   * @returns {HTMLDivElement|null}
+   */
+  getParentHolder(holder) {
+    const fk = this.getTreeIndex().getParent(holder);
+
+    return fk === null ? null : this.getToggleElement(fk)?.closest('.ce-block') ?? null;
+  }
+
+  /**
+   * Nests blocks placed just after the nested blocks of a toggle, as its
+   * last children. The toggle is opened if it's closed.
+   *
+   * @param {Array<HTMLDivElement>} holders - block holders, in the document order
+   * @param {ToggleBlock} toggle - toggle the blocks are nested in
+   */
+  nestInToggle(holders, toggle) {
+    if (toggle.data.status === 'closed') {
+      toggle.setStatus('open');
+      toggle.hideAndShowBlocks(toggle.wrapper.id, 'open', true);
+    }
+
+    holders.forEach((holder) => this.changeParent(holder, toggle));
+    toggle.setDefaultContent();
+  }
+
+  /**
+   * Nests a block in another toggle, or extracts it from its toggle when
+   * there's no toggle, calling the callbacks of the change.
+   *
+   * @param {HTMLDivElement} holder - block holder
+   * @param {ToggleBlock} [toggle] - new toggle of the block
+   */
+  changeParent(holder, toggle) {
+    const fk = this.getTreeIndex().getParent(holder);
+
+    if (!toggle) {
+      this.removeAttributesFromNewBlock(this.getIndex(holder));
+      return;
+    }
+
+    if (fk !== null) this.emitEvent('onChildRemoved', { fk, blockId: this.getBlockId(holder) });
+    toggle.setAttributesToNewBlock(this.getIndex(holder));
+  }
+
+  /**
+   * Moves a block down, with its nested blocks if it's a toggle,
+   * so its last block is placed at the 'destiny' index.
+   *
+   * @param {HTMLDivElement} holder - block holder
+   * @param {number} destiny - final index of the last moved block
+   */
+  moveWithDescendants(holder, destiny) {
+    const toggleId = holder.querySelector('.toggle-block__selector')?.id;
+    const size = 1 + (toggleId ? this.getDecendentsNumber(toggleId) : 0);
+    const index = this.getIndex(holder);
+
+    if (destiny <= index + size - 1) return;
+
+    for (let i = 0; i < size; i += 1) this.api.blocks.move(destiny, index);
+  }
+
+  /**
+   * Returns the selected blocks that aren't nested in another selected
+   * block, so the nested toggles of the selection keep their nested blocks.
+   *
+   * @returns {Array<HTMLDivElement>}
+   */
+  getSelectedUnits() {
+    const selected = Array.from(this.getRedactor().querySelectorAll('.ce-block--selected'));
+
+    return selected.filter((holder) => {
+      const visited = new Set();
+      let parent = this.getParentHolder(holder);
+
+      // The visited holders stop the loop on circular nestings
+      while (parent && !selected.includes(parent) && !visited.has(parent)) {
+        visited.add(parent);
+        parent = this.getParentHolder(parent);
+      }
+
+      return !parent || !selected.includes(parent);
+    });
+  }
+
+  /**
+   * Nests or extracts the selected blocks as a unit with 'tab' and
+   * 'shift + tab', when they're placed at the same level. The nested
+   * toggles of the selection are moved with their nested blocks.
+   *
+   * @param {KeyboardEvent} e - key down event
+   */
+  handleSelectionKeys(e) {
+    const editor = this.api.ui.nodes.wrapper;
+
+    if (this.readOnly || e.code !== 'Tab' || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (editor.querySelector('.ce-popover--opened')) return;
+
+    const units = this.getSelectedUnits();
+
+    if (!units.length) return;
+
+    // The editor would clear the selection and open the block settings
+    e.preventDefault();
+    e.stopPropagation();
+
+    const index = this.getTreeIndex();
+    const fk = index.getParent(units[0]);
+
+    if (units.some((holder) => index.getParent(holder) !== fk)) return;
+
+    if (!e.shiftKey) {
+      const toggle = this.getPreviousToggle(units[0]);
+
+      if (toggle) this.nestInToggle(units, toggle);
+      return;
+    }
+
+    const parent = this.getParentHolder(units[0]);
+
+    if (!parent) return;
+
+    const destiny = this.getIndex(parent) + this.getDecendentsNumber(fk);
+    const grandParent = this.getToggleInstance(index.getParent(parent));
+
+    this.ignoreMoves(() => units.forEach((holder) => this.moveWithDescendants(holder, destiny)));
+    units.forEach((holder) => this.changeParent(holder, grandParent));
+  }
+
+  /**
+   * If the toggle root is empty and the key event received is 'backspace'
+   * or 'enter', its content is cleared so that the visible placeholder
+   * is set through the css.
+   *
+   * @param {KeyboardEvent} e - key up event
+   */
+  setPlaceHolder(e) {
+    if (e.code === 'Backspace' || e.code === 'Enter') {
+      const { children } = this.wrapper;
+      const { length } = children[1].textContent;
+
+      if (length === 0) children[1].textContent = '';
+    }
+  }
+
+  /**
+   * Renders Tool's view.
+   * First renders the toggle root, and immediately
+   * renders its items as new blocks under the root.
+   *
+   * @returns {HTMLDivElement}
+   */
+  render() {
+    this.createToggle();
+    this.getTreeIndex().addToggle(this.wrapper.id, this.wrapper, this);
+
+    // Renders the nested blocks after the toggle root is rendered
+    setTimeout(() => this.renderItems());
+
+    // Adds initial transition for the icon
+    setTimeout(() => this.setInitialTransition());
+
+    return this.wrapper;
+  }
+
+  /**
+   * Adds the initial status for the icon, and enables the transition
+   * displayed when the icon is clicked, unless the user prefers
+   * reduced motion.
+   */
+  setInitialTransition() {
+    this.updateIcon();
+    this.wrapper.classList.toggle('toggle-block__selector--animated', !prefersReducedMotion());
+  }
+
+  /**
+   * Returns the icon of the toggle status: the expanded icon of the
+   * 'icons' config when the toggle is open, otherwise the collapsed one.
+   *
+   * @returns {string}
+   */
+  getStatusIcon() {
+    const { collapsed, expanded } = this.icons;
+
+    return this.data.status !== 'closed' && expanded ? expanded : collapsed;
+  }
+
+  /**
+   * Sets the status in the 'data-status' attribute of the toggle, which
+   * rotates the icon through the CSS, or swaps the icon when an
+   * expanded icon is configured.
+   */
+  updateIcon() {
+    const icon = this.wrapper.firstChild;
+
+    this.wrapper.dataset.status = this.data.status;
+    if (this.icons.expanded) icon.innerHTML = this.getStatusIcon();
+  }
+
+  /**
+   * Renders the items view and assigns the properties required to look
+   * like a block inside the toggle.
+   */
+  renderItems() {
+    const blocksInEditor = this.api.blocks.getBlocksCount();
+    const icon = this.wrapper.firstChild;
+    const toggleHolder = this.wrapper.closest('.ce-block');
+
+    if (!toggleHolder) return;
+
+    const toggleRoot = this.getIndex(toggleHolder);
+
+    if (this.data.children && this.canDeferChildren()) {
+      this.pendingChildren = this.data.children;
+      this.data.items = this.pendingChildren.length;
+      delete this.data.children;
+    } else if (this.data.children) {
+      this.renderChildren(toggleRoot);
+    } else if (toggleRoot + this.data.items < blocksInEditor) {
+      for (let i = toggleRoot + 1, j = 0; i <= toggleRoot + this.data.items; i += 1) {
+        const block = this.api.blocks.getBlockByIndex(i);
+        const { holder } = block;
+        const cover = holder.firstChild;
+        const content = cover.firstChild;
+
+        if (!this.isPartOfAToggle(content)) {
+          this.setAttributesToNewBlock(i, this.wrapper.id, false);
+          j += 1;
+        } else {
+          this.data.items = j;
+          break;
+        }
+      }
+    } else {
+      this.data.items = 0;
+    }
+
+    const toggleAction = () => {
+      this.resolveToggleAction();
+      setTimeout(() => {
+        this.hideAndShowBlocks(this.wrapper.id, this.data.status, true);
+      });
+    };
+
+    icon.addEventListener('click', toggleAction);
+
+    // The icon works as a disclosure button, also in read-only mode
+    icon.addEventListener('keydown', (e) => {
+      if (['Enter', 'NumpadEnter', 'Space'].includes(e.code)) {
+        e.preventDefault();
+        e.stopPropagation();
+        toggleAction();
+      }
+    });
+
+    // A toggle nested in a closed toggle keeps its children hidden
+    this.hideAndShowBlocks(this.wrapper.id, toggleHolder.hidden ? 'closed' : this.data.status);
+
+    this.addShortcutsListener();
+    this.addDeepLinksListener();
+  }
+
+  /**
+   * Adopts the blocks listed in the 'children' data as the toggle items.
+   * Children already rendered in the editor are found through their id
+   * and moved under the toggle, the missing ones are inserted from their
+   * saved data. An inserted toggle inserts its own children after it, so
+   * only the blocks already in the editor are skipped.
+   *
+   * @param {number} toggleRoot - toggle index
+   */
+  renderChildren(toggleRoot) {
+    let root = toggleRoot;
+    let position = root + 1;
+    let items = 0;
+
+    this.data.children.forEach((child) => {
+      const isEmbedded = typeof child === 'object' && child !== null;
+      const id = isEmbedded ? child.id : child;
+      const block = id ? this.api.blocks.getById?.(id) : null;
+      let size = 1;
+
+      if (block) {
+        const index = this.getIndex(block.holder);
+        size = this.getBlockSize(block.holder);
+
+        // Skips the blocks already adopted, and the toggles holding this one
+        if (index > root - size && index < position) return;
+
+        this.moveRenderedChild(index, size, position);
+
+        if (index < position) {
+          root -= size;
+          position -= size;
+        }
+      } else if (isEmbedded) {
+        this.api.blocks.insert(child.type, child.data, {}, position, false, false, child.id);
+      } else {
+        return;
+      }
+
+      this.setAttributesToNewBlock(position, this.wrapper.id, false);
+      position += size;
+      items += 1;
+    });
+
+    this.data.items = items;
+  }
+
+  /**
+   * Returns the number of blocks rendered for a block: the block and
+   * its nested blocks if it's a toggle.
+   *
+   * @param {HTMLDivElement} holder - block holder
+   * @returns {number}
+   */
+  getBlockSize(holder) {
+    const toggleId = holder.querySelector('.toggle-block__selector')?.id;
+
+    return 1 + (toggleId ? this.getDecendentsNumber(toggleId) : 0);
+  }
+
+  /**
+   * Moves the rendered blocks starting at the 'index' index next to the
+   * 'position' index, so the toggle items stay together.
+   *
+   * @param {number} index - index of the first moved block
+   * @param {number} size - number of moved blocks
+   * @param {number} position - index of the first block once moved up,
+   * or index of the block placed after the moved blocks once moved down
+   */
+  moveRenderedChild(index, size, position) {
+    if (index === position) return;
+
+    this.ignoreMoves(() => {
+      for (let i = 0; i < size; i += 1) {
+        if (index > position) {
+          this.api.blocks.move(position + i, index + i);
+        } else {
+          this.api.blocks.move(position - 1, index);
+        }
+      }
+    });
+  }
+
+  /**
+   * Returns true if the 'children' data can be kept in the toggle until it's
+   * opened, with the 'lazyChildren' config: the toggle is closed and its
+   * children are embedded, and not already rendered in the editor.
+   *
+   * @returns {boolean}
+   */
+  canDeferChildren() {
+    const { children, status } = this.data;
+
+    return this.lazyChildren && status === 'closed' && children.length > 0
+      && children.every((child) => (
+        typeof child === 'object' && child !== null && !(child.id && this.api.blocks.getById?.(child.id))
+      ));
+  }
+
+  /**
+   * Inserts the children kept in the toggle data by the 'lazyChildren'
+   * config, the first time the toggle is opened.
+   */
+  renderPendingChildren() {
+    const holder = this.wrapper.closest('.ce-block');
+
+    if (!this.pendingChildren || !holder) return;
+
+    this.data.children = this.pendingChildren;
+    delete this.pendingChildren;
+    this.renderChildren(this.getIndex(holder));
+    delete this.data.children;
+    this.setDefaultContent();
+  }
+
+  /**
+   * Converts the toggle status to its opposite. In accordion mode,
+   * opening the toggle closes its sibling toggles.
+   */
+  resolveToggleAction() {
+    this.setStatus(this.data.status === 'closed' ? 'open' : 'closed');
+
+    if (this.data.status === 'open' && this.isAccordion()) {
+      this.getAccordionSiblings()
+        .filter((toggle) => toggle.data.status !== 'closed')
+        .forEach((toggle) => {
+          toggle.setStatus('closed');
+          toggle.hideAndShowBlocks(toggle.wrapper.id, 'closed', true);
+        });
+    }
+  }
+
+  /**
+   * Returns true if opening the toggle closes its siblings, by the
+   * 'accordion' config or the accordion tune of the toggle.
+   *
+   * @returns {boolean}
    */
-  setDefaultContent() {
-    const children = document.querySelectorAll(`div[foreignKey="${this.wrapper.id}"]`);
-    const { firstChild, lastChild } = this.wrapper;
-    const { status } = this.data;
-    const value = (children.length > 0 || status === 'closed');
-
-    lastChild.classList.toggle('toggle-block__hidden', value);
-    firstChild.style.color = (children.length === 0) ? 'gray' : 'black';
+  isAccordion() {
+    return this.data.accordion ?? this.accordion;
   }
 
   /**
-   * Deletes the toggle structure and converts the main text and the nested blocks
-   * in regular blocks.
+   * Returns the toggles of the accordion group of the toggle, without it:
+   * the toggles nested directly in the same toggle or, at the top level,
+   * the toggles placed just before and after it.
    *
-   * @param {KeyboardEvent} e - key down event
+   * @returns {Array<ToggleBlock>}
    */
-  removeToggle(e) {
-    if (e.code === 'Backspace') {
-      const { children } = this.wrapper;
-      const content = children[1].innerHTML;
+  getAccordionSiblings() {
+    const holder = this.wrapper.closest('.ce-block');
 
-      const cursorPosition = document.getSelection();
-
-      if (cursorPosition.focusOffset === 0) {
-        const index = this.api.blocks.getCurrentBlockIndex();
-        const breakLine = content.indexOf('<br>');
-        const end = breakLine === -1 ? content.length : breakLine;
-        const blocks = document.querySelectorAll(`div[foreignKey="${this.wrapper.id}"]`);
+    if (!holder) return [];
 
-        for (let i = 1; i < blocks.length + 1; i += 1) {
-          this.removeAttributesFromNewBlock(index + i);
-        }
+    const fk = this.getTreeIndex().getParent(holder);
 
-        this.api.blocks.delete(index);
-        this.api.blocks.insert('paragraph', { text: content.slice(0, end) }, {}, index, 1);
-        this.api.caret.setToBlock(index);
-      }
+    if (fk !== null) {
+      return this.getChildHolders(fk)
+        .map((child) => child.querySelector('.toggle-block__selector'))
+        .filter((toggle) => toggle && toggle !== this.wrapper)
+        .map((toggle) => this.getToggleInstance(toggle.id))
+        .filter(Boolean);
     }
-  }
 
-  /**
-  * Returns the toggle's root index, given the index of one of its children
-  *
-  * @param {number} entryIndex - block index
-  * @param {String} fk - The block's foreign key
-  * @returns {number} The Toggle's root index
-  */
-  findToogleRootIndex(entryIndex, fk) {
-    const block = this.getBlockByIndex(entryIndex);
-    const { holder } = block;
+    const siblings = [];
+    let toggle = this.getPreviousToggle(holder);
 
-    if (this.isAToggleRoot(holder)) {
-      const id = holder.querySelector('.toggle-block__selector').getAttribute('id');
-      if (fk === id) {
-        return entryIndex;
-      }
+    while (toggle) {
+      siblings.push(toggle);
+      toggle = this.getPreviousToggle(toggle.wrapper.closest('.ce-block'));
     }
-    if (entryIndex - 1 >= 0) {
-      return this.findToogleRootIndex(entryIndex - 1, fk);
+
+    toggle = this.getNextToggle(holder);
+
+    while (toggle) {
+      siblings.push(toggle);
+      toggle = this.getNextToggle(toggle.wrapper.closest('.ce-block'));
     }
-    return -1;
+
+    return siblings;
   }
 
   /**
-   * Extracts a nested block from a toggle
-   * with 'shift + tab' combination
+   * Sets the toggle status. The icon is updated through 'updateIcon'.
+   * The blocks are hidden or shown through 'hideAndShowBlocks'.
+   * With the viewer state, the status is stored for the viewer.
+   * The 'onToggle' callback is called when the status changes.
+   * The children kept by the 'lazyChildren' config are inserted on open.
    *
-   * @param {number} entryIndex - Block's index that will be extracted
+   * @param {string} status - 'open' or 'closed'
    */
-  extractBlock(entryIndex) {
-    const block = this.getBlockByIndex(entryIndex);
-    const { holder } = block;
+  setStatus(status) {
+    const icon = this.wrapper.firstChild;
+    const holder = this.wrapper.closest('.ce-block');
+    const hasChanged = this.data.status !== status;
 
-    if (this.isAToggleItem(holder)) {
-      const fk = holder.getAttribute('foreignKey');
-      const parentIndex = this.findToogleRootIndex(entryIndex, fk);
-      if (parentIndex >= 0) {
-        const items = this.getDecendentsNumber(fk);
-        const destiny = parentIndex + items;
+    this.data.status = status;
+    this.updateIcon();
+    icon.setAttribute('aria-expanded', status !== 'closed');
 
-        if (items > 1) { this.api.blocks.move(destiny, entryIndex); }
+    if (holder) holder.setAttribute('status', status);
+    if (status === 'open') this.renderPendingChildren();
 
-        setTimeout(() => this.removeAttributesFromNewBlock(destiny), 200);
-      }
+    this.viewerState?.set(this.data.fk, status);
+
+    if (hasChanged) {
+      const blockIds = this.getChildHolders().map((child) => this.getBlockId(child));
+      this.emitEvent('onToggle', { fk: this.wrapper.id, status, blockIds });
     }
-    this.api.caret.setToBlock(entryIndex);
-    this.api.toolbar.close();
   }
 
   /**
-   * If the toggle root is empty and the key event received is 'backspace'
-   * or 'enter', its content is cleared so that the visible placeholder
-   * is set through the css.
-   *
-   * @param {KeyboardEvent} e - key up event
+   * Points the 'aria-controls' attribute of the icon to the blocks
+   * nested directly in the toggle.
    */
-  setPlaceHolder(e) {
-    if (e.code === 'Backspace' || e.code === 'Enter') {
-      const { children } = this.wrapper;
-      const { length } = children[1].textContent;
+  updateAriaControls() {
+    const icon = this.wrapper.firstChild;
+    const children = this.getChildHolders();
+    const ids = Array.from(children).map(({ id }) => id).filter(Boolean);
 
-      if (length === 0) children[1].textContent = '';
+    if (ids.length) {
+      icon.setAttribute('aria-controls', ids.join(' '));
+    } else {
+      icon.removeAttribute('aria-controls');
     }
   }
 
   /**
-   * Renders Tool's view.
-   * First renders the toggle root, and immediately
-   * renders its items as new blocks under the root.
+   * Opens the toggles a block holder is nested in, following the toggle
+   * ids from the innermost one, and scrolls to the holder.
    *
-   * @returns {HTMLDivElement}
+   * @param {HTMLDivElement} holder - block holder
+   * @param {Array<ToggleBlock>} instances - rendered toggles of the editor
+   * @param {boolean} [scroll] - scrolls to the holder
    */
-  render() {
-    this.createToggle();
-
-    // Renders the nested blocks after the toggle root is rendered
-    setTimeout(() => this.renderItems());
+  revealHolder(holder, instances, scroll = true) {
+    const index = this.getTreeIndex();
+    const toggles = new Map(instances.map((instance) => [instance.wrapper.id, instance]));
+    const ancestors = [];
+    let ancestor = toggles.get(index.getParent(holder));
+
+    // The visited toggles stop the loop on circular nestings
+    while (ancestor && !ancestors.includes(ancestor)) {
+      ancestors.unshift(ancestor);
+      ancestor = toggles.get(index.getParent(ancestor.wrapper.closest('.ce-block')));
+    }
 
-    // Adds initial transition for the icon
-    setTimeout(() => this.setInitialTransition());
+    ancestors.forEach((toggle) => toggle.setStatus('open'));
+    ancestors[0]?.hideAndShowBlocks(ancestors[0].wrapper.id, 'open', true);
 
-    return this.wrapper;
+    if (scroll) {
+      holder.scrollIntoView?.({ block: 'center', behavior: prefersReducedMotion() ? 'auto' : 'smooth' });
+    }
   }
 
   /**
-   * Adds the initial status for the icon, and establishes
-   * the delay for the transition displayed when the icon
-   * is clicked.
+   * Returns true if a block is kept, at any depth, in the children of
+   * the toggle not inserted yet by the 'lazyChildren' config.
+   *
+   * @param {string} blockId - Editor.js block id
+   * @returns {boolean}
    */
-  setInitialTransition() {
-    const { status } = this.data;
-    const icon = this.wrapper.firstChild;
-    const svg = icon.firstChild;
-    svg.style.transition = '0.1s';
-    svg.style.transform = `rotate(${status === 'closed' ? 0 : 90}deg)`;
+  hasPendingChild(blockId) {
+    const contains = (children) => Array.isArray(children) && children.some((child) => (
+      typeof child === 'object' && child !== null
+      && (child.id === blockId || contains(child.data?.children))
+    ));
+
+    return contains(this.pendingChildren);
   }
 
   /**
-   * Renders the items view and assigns the properties required to look
-   * like a block inside the toggle.
+   * Reveals the block of the URL hash, e.g. '#block-id', once the editor
+   * is rendered and when the hash changes. Enabled by the 'deepLinks' config,
+   * once per editor.
    */
-  renderItems() {
-    const blocksInEditor = this.api.blocks.getBlocksCount();
-    const icon = this.wrapper.firstChild;
-    let toggleRoot;
+  addDeepLinksListener() {
+    const editor = this.api.ui.nodes.wrapper;
 
-    if (this.readOnly) {
-      const redactor = document.getElementsByClassName('codex-editor__redactor')[0];
-      const { children } = redactor;
-      const { length } = children;
+    if (!this.deepLinks || editorsWithDeepLinks.has(editor)) return;
 
-      for (let i = 0; i < length; i += 1) {
-        const blockCover = children[i].firstChild;
-        const blockContainer = blockCover.firstChild;
-        const { id } = blockContainer;
+    editorsWithDeepLinks.add(editor);
 
-        if (id === this.wrapper.id) {
-          toggleRoot = i;
-          break;
-        }
+    const revealHash = () => {
+      let blockId;
+
+      // The hashes that can't be decoded are not block ids
+      try {
+        blockId = decodeURIComponent(window.location.hash.slice(1));
+      } catch (error) {
+        return;
       }
-    } else {
-      const toggle = this.wrapper.children[1];
-      let currentBlock = {};
-      let index = this.api.blocks.getCurrentBlockIndex();
 
-      while (currentBlock[1] !== toggle) {
-        toggleRoot = index;
-        const block = this.api.blocks.getBlockByIndex(toggleRoot);
-        const { holder } = block;
-        const blockCover = holder.firstChild;
-        const blockContent = blockCover.firstChild;
-        currentBlock = blockContent.children;
+      if (blockId && editor.isConnected) ToggleBlock.revealBlock(blockId, editor);
+    };
 
-        index -= 1;
-      }
-    }
+    // Runs after the items of every toggle rendered with the editor
+    setTimeout(revealHash);
+    window.addEventListener('hashchange', revealHash);
+  }
 
-    if (toggleRoot + this.data.items < blocksInEditor) {
-      for (let i = toggleRoot + 1, j = 0; i <= toggleRoot + this.data.items; i += 1) {
-        const block = this.api.blocks.getBlockByIndex(i);
-        const { holder } = block;
-        const cover = holder.firstChild;
-        const content = cover.firstChild;
+  /**
+   * Returns the number of toggles the toggle is nested in.
+   *
+   * @returns {number}
+   */
+  getDepth() {
+    return this.getTreeIndex().getDepth(this.wrapper.closest('.ce-block'));
+  }
 
-        if (!this.isPartOfAToggle(content)) {
-          this.setAttributesToNewBlock(i);
-          j += 1;
-        } else {
-          this.data.items = j;
-          break;
-        }
-      }
-    } else {
-      this.data.items = 0;
-    }
+  /**
+   * Adds the listener for the shortcuts that expand and collapse every
+   * toggle of the editor, once per editor. The arrow keys skip the
+   * blocks hidden in the closed toggles, and 'tab' nests or extracts
+   * the selected blocks.
+   */
+  addShortcutsListener() {
+    const editor = this.api.ui.nodes.wrapper;
 
-    icon.addEventListener('click', () => {
-      this.resolveToggleAction();
-      setTimeout(() => {
-        this.hideAndShowBlocks();
-      });
-    });
+    if (editorsWithShortcuts.has(editor)) return;
 
-    this.hideAndShowBlocks();
+    editorsWithShortcuts.add(editor);
+
+    // The editor re-creates the toggles, e.g. when the read-only mode is
+    // switched, so the keys are handled by a toggle still rendered
+    const getRenderedToggle = () => this.getTreeIndex().getToggleBlocks()[0];
+
+    // Runs before the editor handles the key in the selected blocks
+    editor.addEventListener('keydown', (e) => getRenderedToggle()?.handleSelectionKeys(e), true);
+    editor.addEventListener('keydown', (e) => getRenderedToggle()?.handleEditorShortcuts(e));
   }
 
   /**
-   * Converts the toggle status to its opposite.
-   * If the toggle status is open, then now will be closed and
-   * the icon will reset to rotation. Otherwise, will be open
-   * and the icon will be rotated 90 degrees to the left.
+   * Handles the keys pressed in the editor: the shortcuts that expand and
+   * collapse every toggle, and the arrows that skip the hidden blocks.
    *
-   * @returns {string} icon - toggle icon
+   * @param {KeyboardEvent} e - key down event
    */
-  resolveToggleAction() {
-    const icon = this.wrapper.firstChild;
-    const svg = icon.firstChild;
+  handleEditorShortcuts(e) {
+    const editor = this.api.ui.nodes.wrapper;
+    const isArrow = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key);
 
-    if (this.data.status === 'closed') {
-      this.data.status = 'open';
-      svg.style.transform = 'rotate(90deg)';
-    } else {
-      this.data.status = 'closed';
-      svg.style.transform = 'rotate(0deg)';
+    if (isArrow && !(e.ctrlKey || e.metaKey || e.altKey)) {
+      const previousIndex = this.getCurrentBlockIndex();
+
+      // The editor moves the caret to the next block while handling the key
+      setTimeout(() => this.skipHiddenBlocks(previousIndex));
+      return;
     }
 
-    const toggleBlock = this.api.blocks.getBlockByIndex(this.api.blocks.getCurrentBlockIndex());
-    toggleBlock.holder.setAttribute('status', this.data.status);
+    const level = /^Digit([0-9])$/.exec(e.code)?.[1];
+
+    if (isShortcut(e, this.shortcuts.expandAll)) {
+      ToggleBlock.expandAll(editor);
+    } else if (isShortcut(e, this.shortcuts.collapseAll)) {
+      ToggleBlock.collapseAll(editor);
+    } else if (level && this.shortcuts.expandToLevel
+      && isShortcut(e, `${this.shortcuts.expandToLevel}+Digit${level}`)) {
+      ToggleBlock.expandToLevel(Number(level), editor);
+    } else {
+      return;
+    }
+    e.preventDefault();
   }
 
   /**
@@ -565,43 +1877,126 @@ export default class ToggleBlock {
    * If the toggle status is closed, the added value to the hidden attribute
    * in the container paragraph is 'true', otherwise is 'false'.
    *
-   * @param {number} index - toggle index
+   * @param {string} foreignKey - toggle id
+   * @param {string} value - toggle status
+   * @param {boolean} animated - animates the blocks, when the status is changed by the user
    */
-  hideAndShowBlocks(foreignKey = this.wrapper.id, value = this.data.status) {
-    const children = document.querySelectorAll(`div[foreignKey="${foreignKey}"]`);
+  hideAndShowBlocks(foreignKey = this.wrapper.id, value = this.data.status, animated = false) {
+    const children = this.getChildHolders(foreignKey);
     const { length } = children;
 
+    if (foreignKey === this.wrapper.id) this.updateAriaControls();
+
     if (length > 0) {
       children.forEach((child) => {
-        child.hidden = value === 'closed';
+        this.setHidden(child, value === 'closed', animated);
 
         // Check if this child is a toggle and hide his children too
         const toggles = child.querySelectorAll('.toggle-block__selector');
         const isToggle = toggles.length > 0;
         if (isToggle) {
           const childValue = value === 'closed' ? value : child.getAttribute('status');
-          this.hideAndShowBlocks(toggles[0].getAttribute('id'), childValue);
+          this.hideAndShowBlocks(toggles[0].getAttribute('id'), childValue, animated);
         }
       });
     } else if (foreignKey === this.wrapper.id) {
       const { lastChild } = this.wrapper;
-      lastChild.classList.toggle('toggle-block__hidden', value);
+      lastChild.classList.toggle('toggle-block__hidden', value === 'closed');
+    }
+  }
+
+  /**
+   * Returns the duration of the animations in milliseconds,
+   * 0 when the user prefers reduced motion.
+   *
+   * @returns {number}
+   */
+  getAnimationDuration() {
+    return prefersReducedMotion() ? 0 : Number(this.animationDuration) || 0;
+  }
+
+  /**
+   * Hides or shows a block. With the animation its height and opacity
+   * are animated, and a hidden block gets the 'hidden' attribute when
+   * the animation ends. A running animation of the block is cancelled.
+   *
+   * @param {HTMLDivElement} holder - block holder
+   * @param {boolean} hidden - true to hide the block
+   * @param {boolean} animated - animates the block
+   */
+  setHidden(holder, hidden, animated) {
+    const runningAnimation = blockAnimations.get(holder);
+    const duration = animated ? this.getAnimationDuration() : 0;
+
+    if (runningAnimation) {
+      runningAnimation.cancel();
+      blockAnimations.delete(holder);
+      holder.style.overflow = '';
+    } else if (holder.hidden === hidden) {
+      return;
     }
+
+    if (!duration || typeof holder.animate !== 'function') {
+      holder.hidden = hidden;
+      return;
+    }
+
+    holder.hidden = false;
+
+    const keyframes = [{ height: '0px', opacity: 0 }, { height: `${holder.offsetHeight}px`, opacity: 1 }];
+    const animation = holder.animate(hidden ? keyframes.reverse() : keyframes, { duration, easing: 'ease' });
+
+    holder.style.overflow = 'hidden';
+    blockAnimations.set(holder, animation);
+    animation.onfinish = () => {
+      holder.hidden = hidden;
+      holder.style.overflow = '';
+      blockAnimations.delete(holder);
+    };
   }
 
   /**
-   * Extracts Tool's data from the view
+   * Extracts Tool's data from the view.
+   * With the 'ids' save format the nested blocks ids are added as 'children',
+   * with the 'tree' format the nested blocks are saved inside the toggle data.
+   * With the viewer state, the author's default status is saved.
+   * The children kept by the 'lazyChildren' config are saved as they were loaded.
+   *
    * @param {HTMLDivElement} blockContent - Toggle tools rendered view
-   * @returns {ToggleBlockData} - saved data
+   * @returns {ToggleBlockData|Promise<ToggleBlockData>} - saved data
    */
   save(blockContent) {
     const { children } = blockContent;
     const caption = children[1].innerHTML;
-    const blocks = document.querySelectorAll(`div[foreignKey="${this.wrapper.id}"]`);
+    const blocks = this.getChildHolders();
 
-    return Object.assign(this.data, {
+    Object.assign(this.data, {
       text: caption,
-      items: blocks.length,
+      items: this.pendingChildren?.length ?? blocks.length,
+    });
+    delete this.data.children;
+
+    const savedData = this.viewerState ? { ...this.data, status: this.defaultStatus } : this.data;
+
+    if (this.saveFormat !== 'ids' && this.saveFormat !== 'tree') {
+      return savedData;
+    }
+
+    if (this.pendingChildren) {
+      savedData.children = this.pendingChildren;
+      return savedData;
+    }
+
+    const items = Array.from(blocks).map((holder) => this.getBlockByIndex(this.getIndex(holder)));
+
+    if (this.saveFormat === 'ids') {
+      savedData.children = items.map(({ id }) => id);
+      return savedData;
+    }
+
+    return Promise.all(items.map((item) => item.save())).then((savedItems) => {
+      savedData.children = savedItems.map(({ id, tool, data }) => ({ id, type: tool, data }));
+      return savedData;
     });
   }
 
@@ -611,7 +2006,7 @@ export default class ToggleBlock {
    */
   getDecendentsNumber(fk) {
     let counter = 0;
-    const listChildren = document.querySelectorAll(`div[foreignKey="${fk}"]`);
+    const listChildren = this.getChildHolders(fk);
     listChildren.forEach((child) => {
       // Evaluate if the child is a toggle
       if (child.hasAttribute('status')) {
@@ -628,7 +2023,7 @@ export default class ToggleBlock {
    * @param {string} fk - The id of the root Toggle
    */
   highlightToggleItems(fk) {
-    const listChildren = document.querySelectorAll(`div[foreignKey="${fk}"]`);
+    const listChildren = this.getChildHolders(fk);
     listChildren.forEach((child) => {
       child.classList.add('ce-block--selected');
       // Evaluate if the child is a toggle, then highlight also its children
@@ -640,46 +2035,195 @@ export default class ToggleBlock {
   }
 
   /**
-   * Adds events for the move up, move down and delete options in the toolbar
+   * Returns the tunes of the toggle: the heading levels and the actions
+   * that work on the whole toggle with its nested blocks. The nested
+   * blocks are highlighted while the tunes are shown.
+   *
+   * @returns {Array<object>}
    */
   renderSettings() {
-    const settingsBar = document.getElementsByClassName('ce-settings--opened');
-    const optionsContainer = settingsBar[0];
-    const options = optionsContainer.lastChild;
-    const toggleIndex = this.api.blocks.getCurrentBlockIndex();
-
     this.highlightToggleItems(this.wrapper.id);
 
-    setTimeout(() => {
-      this.addEventsMoveButtons('ce-tune-move-down', 0, options, toggleIndex);
-      this.addEventsMoveButtons('ce-tune-move-up', 1, options, toggleIndex);
+    return [...this.getLevelTunes(), ...this.getToggleTunes()];
+  }
 
-      const deleteButton = options.getElementsByClassName('ce-settings__button--delete')[0];
-      if (deleteButton) {
-        deleteButton.addEventListener('click', () => {
-          const classesList = deleteButton.classList;
-          const classes = Object.values(classesList);
+  /**
+   * Returns the tunes that open the toggle by default, close its siblings
+   * when it's opened, collapse its nested toggles, and duplicate, select
+   * or delete it with its nested blocks.
+   *
+   * @returns {Array<object>}
+   */
+  getToggleTunes() {
+    return [
+      {
+        icon: chevronDownIcon,
+        label: this.translate('Open by default'),
+        toggle: true,
+        isActive: this.getDefaultStatus() !== 'closed',
+        closeOnActivate: true,
+        onActivate: () => {
+          this.defaultStatus = this.getDefaultStatus() === 'closed' ? 'open' : 'closed';
+          this.setStatus(this.defaultStatus);
+          this.hideAndShowBlocks(this.wrapper.id, this.data.status, true);
+        },
+      },
+      {
+        icon: accordionIcon,
+        label: this.translate('Accordion'),
+        toggle: true,
+        isActive: this.isAccordion(),
+        closeOnActivate: true,
+        onActivate: () => {
+          this.data.accordion = !this.isAccordion();
+        },
+      },
+      {
+        icon: collapseIcon,
+        label: this.translate('Collapse all nested toggles'),
+        closeOnActivate: true,
+        onActivate: () => this.collapseNestedToggles(),
+      },
+      {
+        icon: copyIcon,
+        label: this.translate('Duplicate toggle with contents'),
+        closeOnActivate: true,
+        onActivate: () => this.duplicateWithContents(),
+      },
+      {
+        icon: checkIcon,
+        label: this.translate('Select toggle with contents'),
+        closeOnActivate: true,
+        // The editor unselects the block when the tunes are closed
+        onActivate: () => setTimeout(() => this.selectWithContents()),
+      },
+      {
+        icon: trashIcon,
+        label: this.translate('Delete toggle with contents'),
+        closeOnActivate: true,
+        confirmation: {
+          label: this.translate('Click to delete'),
+          onActivate: () => this.deleteWithContents(),
+        },
+      },
+    ];
+  }
 
-          if (classes.indexOf('clicked-to-destroy-toggle') === -1) {
-            deleteButton.classList.add('clicked-to-destroy-toggle');
-          } else {
-            this.removeFullToggle(toggleIndex);
-          }
-        });
-      }
+  /**
+   * Returns the holders of the blocks nested in the toggle at any level,
+   * in the document order.
+   *
+   * @param {string} fk - The id of the root Toggle
+   * @returns {Array<HTMLDivElement>}
+   */
+  getDescendantHolders(fk = this.wrapper.id) {
+    const children = Array.from(this.getChildHolders(fk));
+
+    return children.flatMap((child) => {
+      const toggle = child.querySelector('.toggle-block__selector');
+      return toggle ? [child, ...this.getDescendantHolders(toggle.id)] : [child];
     });
   }
 
-  addEventsMoveButtons(className, movement, options, toggleIndex) {
-    const list = options.getElementsByClassName(className);
-    if (!list.length) {
-      return;
-    }
-    const moveButton = list[0];
-    if (moveButton) {
-      moveButton.addEventListener('click', () => {
-        this.moveToggle(toggleIndex, movement);
-      });
+  /**
+   * Closes the toggles nested at any level in the toggle.
+   */
+  collapseNestedToggles() {
+    this.getDescendantHolders()
+      .map((holder) => holder.querySelector('.toggle-block__selector'))
+      .filter(Boolean)
+      .forEach(({ id }) => this.getToggleInstance(id)?.setStatus('closed'));
+    this.hideAndShowBlocks(this.wrapper.id, this.data.status, true);
+  }
+
+  /**
+   * Inserts a copy of the toggle and its nested blocks after it. The copy
+   * is inserted with its nested blocks embedded as 'children', so new
+   * toggle ids are generated for it and its nested toggles. The children
+   * already embedded in the saved toggles, by the 'tree' save format, are
+   * copied from their data.
+   *
+   * @returns {Promise<void>}
+   */
+  duplicateWithContents() {
+    const holders = [this.wrapper.closest('.ce-block'), ...this.getDescendantHolders()];
+    const toggleIndex = this.getIndex(holders[0]);
+    const savedBlocks = holders.map((holder) => this.getBlockByIndex(this.getIndex(holder)).save());
+
+    const toEmbeddedData = ({ block: { type, data }, children }) => {
+      if (type !== 'toggle') return { type, data };
+
+      const {
+        fk, items, children: savedChildren, ...toggleData
+      } = data;
+      const isEmbedded = Array.isArray(savedChildren)
+        && savedChildren.some((child) => typeof child === 'object' && child !== null);
+      const nodes = isEmbedded
+        ? savedChildren.map(({ type: childType, data: childData }) => ({
+          block: { type: childType, data: childData }, children: [],
+        }))
+        : children;
+
+      return { type, data: { ...toggleData, children: nodes.map(toEmbeddedData) } };
+    };
+
+    return Promise.all(savedBlocks).then((blocks) => {
+      const [tree] = buildToggleTree(blocks.map(({ tool, data }) => ({ type: tool, data })));
+      const { data } = toEmbeddedData(tree);
+
+      this.api.blocks.insert('toggle', data, {}, toggleIndex + holders.length, false);
+    });
+  }
+
+  /**
+   * Selects the toggle root and its nested blocks, so they can be
+   * copied, cut or deleted together.
+   */
+  selectWithContents() {
+    const holder = this.wrapper.closest('.ce-block');
+
+    if (holder) holder.classList.add('ce-block--selected');
+    this.highlightToggleItems(this.wrapper.id);
+  }
+
+  /**
+   * Deletes the toggle and its nested blocks. The nested blocks are
+   * deleted from the last one, so the nested toggles are already empty
+   * when they're deleted.
+   */
+  deleteWithContents() {
+    const holders = [this.wrapper.closest('.ce-block'), ...this.getDescendantHolders()];
+
+    holders.reverse().forEach((holder) => this.api.blocks.delete(this.getIndex(holder)));
+  }
+
+  /**
+   * Called by the editor when the toggle root is moved up or down,
+   * e.g. through the move tunes. The nested blocks are moved with it.
+   *
+   * @param {CustomEvent} event - move event with the 'fromIndex' and 'toIndex' details
+   */
+  moved(event) {
+    const { fromIndex, toIndex } = event.detail;
+
+    if (this.readOnly || isMovingToggle || Math.abs(toIndex - fromIndex) !== 1) return;
+
+    // The editor updates the current block after calling the hook
+    setTimeout(() => this.moveToggle(fromIndex, toIndex > fromIndex ? 0 : 1, toIndex));
+  }
+
+  /**
+   * Moves blocks without handling the moves in the 'moved' hook of the toggles.
+   *
+   * @param {Function} callback - makes the moves
+   */
+  ignoreMoves(callback) {
+    isMovingToggle = true;
+
+    try {
+      callback();
+    } finally {
+      isMovingToggle = false;
     }
   }
 
@@ -688,25 +2232,27 @@ export default class ToggleBlock {
    * Index of the root toggle before it is moved by editorjs core.
    * @param {number} toggleInitialIndex
    * @param {number} direction // 0: Move down || 1: Move up
+   * @param {number} currentToggleIndex // index of the root toggle after it is moved
    */
-  moveToggle(toggleInitialIndex, direction) {
+  moveToggle(toggleInitialIndex, direction, currentToggleIndex = this.getCurrentBlockIndex()) {
     if (!this.readOnly) {
       this.close();
-      const currentToggleIndex = this.getCurrentBlockIndex();
       const decendents = this.getDecendentsNumber(this.wrapper.id);
       const blocks = this.getBlocksCount();
       const toggleEndIndex = toggleInitialIndex + decendents;
 
-      // Move back the root of the Toogle to its initial position
-      this.move(toggleInitialIndex, currentToggleIndex);
+      this.ignoreMoves(() => {
+        // Move back the root of the Toogle to its initial position
+        this.move(toggleInitialIndex, currentToggleIndex);
 
-      if (toggleInitialIndex >= 0 && toggleEndIndex <= (blocks - 1)) {
-        if (direction === 0) {
-          this.moveDown(toggleInitialIndex, toggleEndIndex);
-        } else {
-          this.moveUp(toggleInitialIndex, toggleEndIndex);
+        if (toggleInitialIndex >= 0 && toggleEndIndex <= (blocks - 1)) {
+          if (direction === 0) {
+            this.moveDown(toggleInitialIndex, toggleEndIndex);
+          } else {
+            this.moveUp(toggleInitialIndex, toggleEndIndex);
+          }
         }
-      }
+      });
     }
   }
 
@@ -809,38 +2355,30 @@ export default class ToggleBlock {
     }
   }
 
-  /**
-   * Removes a toggle root and its nested blocks.
-   *
-   * @param {number} toggleIndex - toggle index
-   */
-  removeFullToggle(toggleIndex) {
-    const children = document.querySelectorAll(`div[foreignKey="${this.wrapper.id}"]`);
-    const { length } = children;
-
-    for (let i = toggleIndex; i < toggleIndex + length; i += 1) {
-      this.api.blocks.delete(toggleIndex);
-    }
-  }
-
   /**
    * Adds the required listeners to call the toggle shortcuts
    * on the editor.
    */
   addListeners() {
     if (!this.readOnly) {
-      const redactor = document.activeElement;
-      redactor.addEventListener('keyup', (e) => {
+      this.getRedactor().addEventListener('keyup', (e) => {
         const blockContainer = document.activeElement;
         const currentBlock = this.api.blocks.getCurrentBlockIndex();
 
         const blockCover = blockContainer.parentElement;
         const block = blockCover.parentElement;
+        const holder = blockContainer.closest('.ce-block');
+        const isTab = e.code === 'Tab' && !e.shiftKey
+          && !this.getRedactor().querySelector('.ce-block--selected');
+        const isInAToggle = this.isPartOfAToggle(blockContainer) || this.isPartOfAToggle(block);
 
         if (e.code === 'Space') {
           this.createToggleWithShortcut(blockContainer);
-        } else if (currentBlock > 0 && !(this.isPartOfAToggle(blockContainer) || this.isPartOfAToggle(block)) && e.code === 'Tab') {
+        } else if (isTab && currentBlock > 0 && !isInAToggle) {
           this.nestBlock(blockContainer);
+        } else if (isTab && holder && this.getTreeIndex().getParent(holder) === this.wrapper.id) {
+          // Every toggle listens to the editor, only the toggle of the block indents it
+          this.indentBlock(holder);
         }
       });
     }
@@ -852,7 +2390,7 @@ export default class ToggleBlock {
    */
   addSupportForUndoAndRedoActions() {
     if (!this.readOnly) {
-      const target = document.querySelector('div.codex-editor__redactor');
+      const target = this.getRedactor();
 
       const observer = new MutationObserver((mutations) => {
         mutations.forEach((mutation) => {
@@ -880,7 +2418,7 @@ export default class ToggleBlock {
     if (!parentID || !targetFK) return false; // No parent or no target
     if (parentID === targetFK) return true; // Direct child of the toggle
 
-    return [...document.querySelectorAll(`div[foreignKey="${parentID}"]`)]
+    return [...this.getChildHolders(parentID)]
       .some((child) => {
         const toggle = child.querySelector('.toggle-block__selector');
         if (!toggle) return false;
@@ -899,22 +2437,24 @@ export default class ToggleBlock {
         return;
       }
 
+      const editor = this.api.ui.nodes.wrapper;
+
       // Set status in attribute to a proper hide and show
-      const toggleBlock = document.querySelector(`#${this.wrapper.id}`).parentNode.parentNode;
-      toggleBlock.setAttribute('status', this.data.status);
+      const toggleBlock = this.wrapper.closest('.ce-block');
+      if (toggleBlock) toggleBlock.setAttribute('status', this.data.status);
 
-      const settingsButton = document.querySelector('.ce-toolbar__settings-btn');
-      settingsButton.setAttribute('draggable', 'true');
-      settingsButton.addEventListener('dragstart', () => {
+      const settingsButton = editor.querySelector('.ce-toolbar__settings-btn');
+      settingsButton?.setAttribute('draggable', 'true');
+      settingsButton?.addEventListener('dragstart', () => {
         this.startBlock = this.api.blocks.getCurrentBlockIndex();
         this.nameDragged = this.api.blocks.getBlockByIndex(this.startBlock).name;
         this.holderDragged = this.api.blocks.getBlockByIndex(this.startBlock).holder;
       });
 
-      document.addEventListener('drop', (event) => {
+      editor.addEventListener('drop', (event) => {
         // Get the position when item was dropped
         const { target } = event;
-        if (document.contains(target)) {
+        if (this.getRedactor().contains(target)) {
           const dropTarget = target.classList.contains('ce-block') ? target : target.closest('.ce-block');
           if (dropTarget && dropTarget !== this.holderDragged) {
             let endBlock = this.getIndex(dropTarget);
@@ -944,15 +2484,17 @@ export default class ToggleBlock {
                       this.setAttributesToNewBlock(newToggleIndex, foreignKey);
                     }
 
-                    this.moveChildren(endBlock);
+                    this.ignoreMoves(() => this.moveChildren(endBlock));
                   } else {
                     // If we are dropping in the toggle children,
                     // we have to move the toggle in the original position
-                    if (this.startBlock === endBlock) {
-                      this.api.blocks.move(this.startBlock + 1, endBlock);
-                    } else {
-                      this.api.blocks.move(this.startBlock, endBlock);
-                    }
+                    this.ignoreMoves(() => {
+                      if (this.startBlock === endBlock) {
+                        this.api.blocks.move(this.startBlock + 1, endBlock);
+                      } else {
+                        this.api.blocks.move(this.startBlock, endBlock);
+                      }
+                    });
 
                     // And remove the attributes
                     if (!isTargetAToggle) {
@@ -977,7 +2519,7 @@ export default class ToggleBlock {
 
   moveChildren(endBlock, fk = this.wrapper.id) {
     // Get the children of the dropped toggle
-    let children = document.querySelectorAll(`div[foreignKey="${fk}"]`);
+    let children = this.getChildHolders(fk);
 
     // Move all the children to the parent position
     children = this.startBlock >= endBlock ? [...children].reverse() : children;
@@ -1013,7 +2555,7 @@ export default class ToggleBlock {
       const mutatedBlock = mutation.removedNodes[0];
 
       if (this.itemsId.includes(block.id) && currentBlockValidation) {
-        this.setAttributesToNewBlock(index);
+        this.setAttributesToNewBlock(index, this.wrapper.id, false);
       } else if (mutatedBlock && this.isPartOfAToggle(mutatedBlock) && currentBlockValidation) {
         const blockCover = holder.firstChild;
         const blockContainer = blockCover.firstChild;
@@ -1027,18 +2569,27 @@ export default class ToggleBlock {
   }
 
   /**
-   * Creates a toggle through the '>' char and the 'Space' key
+   * Creates a toggle through a trigger and the 'Space' key, by default
+   * the '>' char. A heading toggle is created when the '>' char is followed
+   * by one to three '#' chars, e.g. '>## '. The triggers only work in a
+   * paragraph that contains nothing else.
    */
   createToggleWithShortcut(blockContainer) {
-    const content = blockContainer.textContent;
+    const blockCaller = this.api.blocks.getCurrentBlockIndex();
+    const block = this.api.blocks.getBlockByIndex(blockCaller);
+    const content = blockContainer.textContent.replace(/\u00a0/g, ' ');
+    const trigger = this.triggers.find(({ text }) => content === `${text} `);
 
-    if ((content[0] === '>') && !this.isPartOfAToggle(blockContainer)) {
-      const blockCaller = this.api.blocks.getCurrentBlockIndex();
+    if (!trigger || block?.name !== 'paragraph' || this.isPartOfAToggle(blockContainer)) return;
 
-      this.api.blocks.insert('toggle', { text: content.slice(2) }, this.api, blockCaller, true);
-      this.api.blocks.delete(blockCaller + 1);
-      this.api.caret.setToBlock(blockCaller);
-    }
+    const data = { text: '' };
+
+    if (trigger.status) data.status = trigger.status;
+    if (trigger.level) data.level = trigger.level;
+
+    this.api.blocks.insert('toggle', data, this.api, blockCaller, true);
+    this.api.blocks.delete(blockCaller + 1);
+    this.api.caret.setToBlock(blockCaller);
   }
 
   /**
@@ -1059,7 +2610,7 @@ export default class ToggleBlock {
 
       block.setAttribute('will-be-a-nested-block', true);
 
-      const toggleRoot = document.getElementById(foreignKey);
+      const toggleRoot = this.getToggleElement(foreignKey);
       toggleRoot.children[1].focus();
     }
   }
@@ -0,0 +1,21 @@
+/**
+ * Returns true if the keyboard event matches the shortcut, written as
+ * modifiers and a key separated by '+', e.g. 'CMD+ALT+ArrowDown'.
+ * 'CMD' stands for the Ctrl key, or the Command key on macOS. The key
+ * is compared with the event 'code' and 'key', ignoring the case.
+ *
+ * @param {KeyboardEvent} event - keyboard event
+ * @param {string|boolean} shortcut - shortcut, false when it's disabled
+ * @returns {boolean}
+ */
+export default function isShortcut(event, shortcut) {
+  if (typeof shortcut !== 'string' || shortcut === '') return false;
+
+  const modifiers = shortcut.split('+').map((key) => key.toUpperCase());
+  const [key] = shortcut.split('+').slice(-1);
+
+  return (event.ctrlKey || event.metaKey) === modifiers.includes('CMD')
+    && event.altKey === modifiers.includes('ALT')
+    && event.shiftKey === modifiers.includes('SHIFT')
+    && [event.code, event.key].some((value) => value?.toLowerCase() === key.toLowerCase());
+}
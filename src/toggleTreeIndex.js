@@ -0,0 +1,196 @@
+/**
+ * Indexes of the editors, by the element that holds their blocks
+ */
+const indexes = new WeakMap();
+
+/**
+ * Elements that hold the blocks of the editors with an index, forgotten
+ * once they're removed from the document
+ */
+const redactors = new Set();
+
+/**
+ * Index of the toggle structure of an editor: the toggles by their id,
+ * and the holders of the blocks nested directly in each toggle.
+ *
+ * It's updated when a block is nested in or extracted from a toggle, so
+ * the structure queries don't walk the whole document. The children are
+ * sorted by their position in the document when they're read, so moving
+ * the blocks doesn't require any update, and the holders removed from the
+ * document are dropped.
+ */
+export default class ToggleTreeIndex {
+  /**
+   * Returns the index of the editor, created on the first call.
+   *
+   * @param {HTMLElement} redactor - element that holds the editor blocks
+   * @returns {ToggleTreeIndex}
+   */
+  static of(redactor) {
+    if (!indexes.has(redactor)) indexes.set(redactor, new ToggleTreeIndex());
+    redactors.add(redactor);
+
+    return indexes.get(redactor);
+  }
+
+  /**
+   * Returns the indexes of the editors in the document.
+   *
+   * @returns {Array<ToggleTreeIndex>}
+   */
+  static getAll() {
+    return Array.from(redactors).filter((redactor) => {
+      if (!redactor.isConnected) redactors.delete(redactor);
+
+      return redactor.isConnected;
+    }).map((redactor) => indexes.get(redactor));
+  }
+
+  constructor() {
+    this.toggles = new Map();
+    this.blocks = new Map();
+    this.children = new Map();
+    this.parents = new Map();
+  }
+
+  /**
+   * Adds a rendered toggle.
+   *
+   * @param {string} fk - toggle id
+   * @param {HTMLDivElement} wrapper - toggle element
+   * @param {object} [block] - tool instance that rendered the toggle
+   */
+  addToggle(fk, wrapper, block) {
+    this.toggles.set(fk, wrapper);
+
+    if (block) {
+      this.blocks.set(fk, block);
+    } else {
+      this.blocks.delete(fk);
+    }
+  }
+
+  /**
+   * Removes a toggle, if the id still belongs to its element.
+   *
+   * @param {string} fk - toggle id
+   * @param {HTMLDivElement} wrapper - toggle element
+   */
+  removeToggle(fk, wrapper) {
+    if (this.toggles.get(fk) !== wrapper) return;
+
+    this.toggles.delete(fk);
+    this.blocks.delete(fk);
+  }
+
+  /**
+   * Returns the element of a toggle in the document.
+   *
+   * @param {string} fk - toggle id
+   * @returns {HTMLDivElement|null}
+   */
+  getToggle(fk) {
+    const wrapper = this.toggles.get(fk);
+
+    return wrapper?.isConnected ? wrapper : null;
+  }
+
+  /**
+   * Returns the tool instance of a toggle in the document.
+   *
+   * @param {string} fk - toggle id
+   * @returns {object|undefined}
+   */
+  getToggleBlock(fk) {
+    return this.getToggle(fk) ? this.blocks.get(fk) : undefined;
+  }
+
+  /**
+   * Returns the tool instances of the toggles in the document.
+   *
+   * @returns {Array<object>}
+   */
+  getToggleBlocks() {
+    return Array.from(this.blocks.values()).filter(({ wrapper }) => wrapper.isConnected);
+  }
+
+  /**
+   * Nests a block holder directly in a toggle, extracting it from its
+   * previous toggle.
+   *
+   * @param {HTMLDivElement} holder - block holder
+   * @param {string} fk - toggle id
+   */
+  setParent(holder, fk) {
+    this.removeChild(holder);
+
+    if (!this.children.has(fk)) this.children.set(fk, new Set());
+
+    this.children.get(fk).add(holder);
+    this.parents.set(holder, fk);
+  }
+
+  /**
+   * Extracts a block holder from its toggle.
+   *
+   * @param {HTMLDivElement} holder - block holder
+   */
+  removeChild(holder) {
+    const fk = this.parents.get(holder);
+
+    if (fk === undefined) return;
+
+    this.parents.delete(holder);
+    this.children.get(fk).delete(holder);
+    if (!this.children.get(fk).size) this.children.delete(fk);
+  }
+
+  /**
+   * Returns the id of the toggle a block holder is nested in.
+   *
+   * @param {HTMLDivElement} holder - block holder
+   * @returns {string|null}
+   */
+  getParent(holder) {
+    return this.parents.get(holder) ?? null;
+  }
+
+  /**
+   * Returns the holders of the blocks nested directly in a toggle,
+   * in the document order.
+   *
+   * @param {string} fk - toggle id
+   * @returns {Array<HTMLDivElement>}
+   */
+  getChildren(fk) {
+    const holders = Array.from(this.children.get(fk) || []).filter((holder) => {
+      if (!holder.isConnected) this.removeChild(holder);
+
+      return holder.isConnected;
+    });
+
+    return holders.sort((a, b) => (
+      a.compareDocumentPosition(b) === Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+    ));
+  }
+
+  /**
+   * Returns the number of toggles a block holder is nested in.
+   *
+   * @param {HTMLDivElement} holder - block holder
+   * @returns {number}
+   */
+  getDepth(holder) {
+    const visited = new Set();
+    let fk = holder ? this.getParent(holder) : null;
+
+    // The visited ids stop the loop on circular nestings
+    while (fk !== null && !visited.has(fk)) {
+      visited.add(fk);
+      const parent = this.getToggle(fk)?.closest('.ce-block');
+      fk = parent ? this.getParent(parent) : null;
+    }
+
+    return visited.size;
+  }
+}
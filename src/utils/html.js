@@ -0,0 +1,61 @@
+import buildToggleTree, { getAccordionGroups } from './tree';
+
+/**
+ * Renders the basic Editor.js blocks. Other blocks are rendered
+ * as a paragraph when they have a text, otherwise they're skipped.
+ *
+ * @param {object} block - Editor.js block data
+ * @returns {string}
+ */
+export function renderDefaultBlock({ type, data }) {
+  if (type === 'header') {
+    const level = Number(data.level) || 2;
+    return `<h${level}>${data.text}</h${level}>`;
+  }
+
+  if (typeof data?.text === 'string') {
+    return `<p>${data.text}</p>`;
+  }
+
+  return '';
+}
+
+/**
+ * Renders a tree node, toggles are rendered as '<details>' elements.
+ *
+ * @param {ToggleTreeNode} node - block and its nested blocks
+ * @param {{renderBlock: Function, toggleType: string, groups: Map}} options
+ * @returns {string}
+ */
+function renderNode({ block, children }, options) {
+  if (block.type !== options.toggleType) {
+    return options.renderBlock(block);
+  }
+
+  const open = block.data.status === 'closed' ? '' : ' open';
+  const name = options.groups.has(block) ? ` name="${options.groups.get(block)}"` : '';
+  const content = children.map((child) => renderNode(child, options)).join('');
+
+  return `<details${name}${open}><summary>${block.data.text || ''}</summary>${content}</details>`;
+}
+
+/**
+ * Converts an Editor.js document to HTML. Toggles and their nested blocks
+ * are rendered as nested '<details>/<summary>' elements, open unless
+ * their status is 'closed'. The toggles in accordion mode get the 'name'
+ * of their group, so the browser opens one of them at a time.
+ *
+ * @param {{blocks: Array<object>}} outputData - Editor.js saved data
+ * @param {object} [options]
+ * @param {Function} [options.renderBlock] - renders the blocks that are not toggles
+ * @param {string} [options.toggleType] - tool name of the toggles
+ * @param {boolean} [options.accordion] - accordion mode of the toggles without the setting
+ * @returns {string}
+ */
+export default function toHTML(outputData, options = {}) {
+  const { renderBlock = renderDefaultBlock, toggleType = 'toggle', accordion = false } = options;
+  const tree = buildToggleTree(outputData.blocks || [], toggleType);
+  const groups = getAccordionGroups(tree, { toggleType, accordion });
+
+  return tree.map((node) => renderNode(node, { renderBlock, toggleType, groups })).join('');
+}
@@ -0,0 +1,7 @@
+export { default as buildToggleTree, getAccordionGroups } from './tree';
+export { default as normalize, validate } from './normalize';
+export { default as toHTML, renderDefaultBlock } from './html';
+export {
+  toMarkdown, fromMarkdown, renderDefaultMarkdownBlock, htmlToMarkdown, markdownToHtml,
+} from './markdown';
+export { default as removeCollapsedChildren } from './lazy';
@@ -0,0 +1,28 @@
+import buildToggleTree, { hasEmbeddedChildren } from './tree';
+
+/**
+ * Returns a copy of a document saved with the 'tree' save format, without
+ * the blocks nested in the closed toggles. Those blocks remain embedded
+ * in the 'children' of their toggle, so with the 'lazyChildren' config
+ * they're inserted in the editor only when their toggle is opened.
+ *
+ * @param {object} outputData - Editor.js output data
+ * @param {{toggleType: string}} [options] - tool name of the toggles, 'toggle' by default
+ * @returns {object}
+ */
+export default function removeCollapsedChildren(outputData, { toggleType = 'toggle' } = {}) {
+  const blocks = [];
+
+  const addNode = ({ block, children }) => {
+    blocks.push(block);
+
+    const isCollapsed = block.type === toggleType && block.data?.status === 'closed'
+      && hasEmbeddedChildren(block);
+
+    if (!isCollapsed) children.forEach(addNode);
+  };
+
+  buildToggleTree(outputData?.blocks || [], toggleType).forEach(addNode);
+
+  return { ...outputData, blocks };
+}
@@ -0,0 +1,227 @@
+import { v4 as uuidv4 } from 'uuid';
+import buildToggleTree, { getAccordionGroups } from './tree';
+
+/**
+ * Characters escaped with a backslash to be kept as text
+ */
+const ESCAPED_CHARS = /[\\`*_[\]]/g;
+
+/**
+ * Placeholder of the escaped characters while the Markdown is converted
+ */
+const ESCAPE_PLACEHOLDER = '\ue000';
+
+/**
+ * Converts the inline HTML of a block text to Markdown. Bold, italic,
+ * inline code, links and line breaks are kept, other tags are removed.
+ * The Markdown characters of the text are escaped, and '&lt;', '&gt;'
+ * and '&amp;' are kept, so the text is never read as markup.
+ *
+ * @param {string} html - block text
+ * @returns {string}
+ */
+export function htmlToMarkdown(html = '') {
+  let codeDepth = 0;
+
+  const escaped = html.split(/(<[^>]*>)/).map((part, index) => {
+    // The odd parts are the tags
+    if (index % 2 === 1) {
+      if (/^<code[\s>]/i.test(part)) codeDepth += 1;
+      if (/^<\/code>/i.test(part)) codeDepth -= 1;
+      return part;
+    }
+
+    return codeDepth > 0 ? part : part.replace(ESCAPED_CHARS, '\\$&');
+  }).join('');
+
+  return escaped
+    .replace(/<br\s*\/?>/gi, '  \n')
+    .replace(/<(b|strong)(\s[^>]*)?>(.*?)<\/\1>/gi, '**$3**')
+    .replace(/<(i|em)(\s[^>]*)?>(.*?)<\/\1>/gi, '*$3*')
+    .replace(/<code(\s[^>]*)?>(.*?)<\/code>/gi, '`$2`')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gi, '[$2]($1)')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'");
+}
+
+/**
+ * Converts inline Markdown to the HTML used by the block texts.
+ * The text is escaped before, so raw HTML is kept as text, and the
+ * characters escaped with a backslash are kept as they are.
+ *
+ * @param {string} markdown - inline Markdown
+ * @returns {string}
+ */
+export function markdownToHtml(markdown = '') {
+  const escapedChars = [];
+
+  return markdown
+    .replace(/\\([\\`*_[\]#<>])/g, (match, char) => {
+      escapedChars.push(char);
+      return ESCAPE_PLACEHOLDER;
+    })
+    .replace(/&(?![a-z]+;|#\d+;|#x[\da-f]+;)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/ {2,}\n/g, '<br>')
+    .replace(/\n/g, ' ')
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*(.+?)\*\*/g, '<b>$1</b>')
+    .replace(/\*(.+?)\*/g, '<i>$1</i>')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+    .replace(new RegExp(ESCAPE_PLACEHOLDER, 'g'), () => {
+      const char = escapedChars.shift();
+      return { '<': '&lt;', '>': '&gt;' }[char] ?? char;
+    });
+}
+
+/**
+ * Renders the basic Editor.js blocks as Markdown. Other blocks are rendered
+ * as a paragraph when they have a text, otherwise they're skipped.
+ *
+ * @param {object} block - Editor.js block data
+ * @returns {string}
+ */
+export function renderDefaultMarkdownBlock({ type, data }) {
+  if (type === 'header') {
+    const level = Number(data.level) || 2;
+    return `${'#'.repeat(level)} ${htmlToMarkdown(data.text)}`;
+  }
+
+  // The lines starting like a header, a quote or a toggle are escaped
+  if (typeof data?.text === 'string') {
+    return htmlToMarkdown(data.text)
+      .replace(/^(\s*)([#>])/gm, '$1\\$2')
+      .replace(/^(\s*)(<\/?details)/gim, '$1\\$2');
+  }
+
+  return '';
+}
+
+/**
+ * Renders a tree node, toggles are rendered as '<details>' elements.
+ *
+ * @param {ToggleTreeNode} node - block and its nested blocks
+ * @param {{renderBlock: Function, toggleType: string, groups: Map}} options
+ * @returns {string}
+ */
+function renderNode({ block, children }, options) {
+  if (block.type !== options.toggleType) {
+    return options.renderBlock(block);
+  }
+
+  const open = block.data.status === 'closed' ? '' : ' open';
+  const name = options.groups.has(block) ? ` name="${options.groups.get(block)}"` : '';
+  const content = children.map((child) => renderNode(child, options)).filter(Boolean);
+  // The summary is kept on one line, its line breaks become spaces
+  const summary = htmlToMarkdown(block.data.text || '').replace(/\s*\n/g, ' ');
+
+  return [
+    `<details${name}${open}>\n<summary>${summary}</summary>`,
+    ...content,
+    '</details>',
+  ].join('\n\n');
+}
+
+/**
+ * Converts an Editor.js document to Markdown. Toggles are written as
+ * '<details>' elements, with the toggle text converted to Markdown as
+ * '<summary>' and the nested blocks as Markdown between blank lines:
+ *
+ * ```
+ * <details open>
+ * <summary>Toggle text</summary>
+ *
+ * Nested paragraph
+ *
+ * </details>
+ * ```
+ *
+ * The toggles in accordion mode get the 'name' of their group.
+ *
+ * @param {{blocks: Array<object>}} outputData - Editor.js saved data
+ * @param {object} [options]
+ * @param {Function} [options.renderBlock] - renders the blocks that are not toggles
+ * @param {string} [options.toggleType] - tool name of the toggles
+ * @param {boolean} [options.accordion] - accordion mode of the toggles without the setting
+ * @returns {string}
+ */
+export function toMarkdown(outputData, options = {}) {
+  const {
+    renderBlock = renderDefaultMarkdownBlock, toggleType = 'toggle', accordion = false,
+  } = options;
+  const tree = buildToggleTree(outputData.blocks || [], toggleType);
+  const groups = getAccordionGroups(tree, { toggleType, accordion });
+
+  return tree
+    .map((node) => renderNode(node, { renderBlock, toggleType, groups }))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Converts Markdown written with the 'toMarkdown' convention to an
+ * Editor.js document. The '<details>' elements become toggles followed
+ * by their nested blocks, with their 'fk' and 'items' values, and the
+ * accordion mode when they have a 'name'.
+ * Headers and paragraphs are supported, other lines are kept as paragraphs.
+ *
+ * @param {string} markdown - Markdown text
+ * @param {object} [options]
+ * @param {string} [options.toggleType] - tool name of the toggles
+ * @returns {{blocks: Array<object>}}
+ */
+export function fromMarkdown(markdown, options = {}) {
+  const { toggleType = 'toggle' } = options;
+  const blocks = [];
+  const toggles = [];
+  let paragraph = [];
+
+  const addBlock = (type, data) => {
+    const parent = toggles[toggles.length - 1];
+    if (parent) parent.data.items += 1;
+    blocks.push({ type, data });
+    return data;
+  };
+
+  const addParagraph = () => {
+    if (paragraph.length) addBlock('paragraph', { text: markdownToHtml(paragraph.join('\n')) });
+    paragraph = [];
+  };
+
+  markdown.split(/\r?\n/).forEach((line) => {
+    const trimmed = line.trim();
+    const details = trimmed.match(/^<details(\s+name="[^"]*")?(\s+open(="[^"]*")?)?\s*>$/i);
+    const summary = trimmed.match(/^<summary>(.*)<\/summary>$/i);
+    const header = trimmed.match(/^(#{1,6})\s+(.*)$/);
+    const toggle = toggles[toggles.length - 1];
+
+    if (details) {
+      addParagraph();
+      const data = addBlock(toggleType, {
+        text: '', status: details[2] ? 'open' : 'closed', fk: `fk-${uuidv4()}`, items: 0,
+      });
+      if (details[1]) data.accordion = true;
+      toggles.push({ data, hasSummary: false });
+    } else if (summary && toggle && !toggle.hasSummary) {
+      toggle.data.text = markdownToHtml(summary[1]);
+      toggle.hasSummary = true;
+    } else if (/^<\/details>$/i.test(trimmed)) {
+      addParagraph();
+      toggles.pop();
+    } else if (header) {
+      addParagraph();
+      addBlock('header', { text: markdownToHtml(header[2]), level: header[1].length });
+    } else if (trimmed === '') {
+      addParagraph();
+    } else {
+      paragraph.push(line.replace(/^\s+/, ''));
+    }
+  });
+  addParagraph();
+
+  return { blocks };
+}
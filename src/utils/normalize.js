@@ -0,0 +1,155 @@
+import { v4 as uuidv4 } from 'uuid';
+import buildToggleTree from './tree';
+
+/**
+ * @typedef {object} ToggleFix
+ * @description Problem found in the toggles of a document and the fix applied to it
+ * @property {string} type - 'invalid-status', 'duplicate-fk', 'invalid-items',
+ * 'orphaned-child', 'items-mismatch', 'items-past-end' or 'broken-nesting'
+ * @property {number} index - index of the toggle in the document blocks
+ * @property {string} fk - toggle id, after the fix
+ * @property {string} message - description of the fix
+ */
+
+/**
+ * Returns a copy of the document, with copies of the blocks data
+ * so the repairs don't modify the original document.
+ *
+ * @param {object} outputData - Editor.js output data
+ * @returns {object}
+ */
+function copyDocument(outputData) {
+  const blocks = (outputData?.blocks || []).map((block) => ({
+    ...block,
+    data: { ...block.data },
+  }));
+
+  return { ...outputData, blocks };
+}
+
+/**
+ * Repairs the data saved in each toggle: the status, the id, the items
+ * count and the 'children' ids of the 'ids' save format.
+ *
+ * @param {Array<object>} blocks - copied Editor.js blocks
+ * @param {string} toggleType - tool name of the toggles
+ * @param {Function} addFix - adds a fix to the list
+ */
+function repairToggleData(blocks, toggleType, addFix) {
+  const ids = new Set(blocks.map(({ id }) => id).filter(Boolean));
+  const usedFks = new Set();
+  const claimedIds = new Set();
+
+  blocks.forEach((block, index) => {
+    if (block.type !== toggleType) return;
+
+    const { data } = block;
+
+    if (data.status !== 'open' && data.status !== 'closed') {
+      addFix('invalid-status', index, `Status '${data.status}' replaced by 'open'`);
+      data.status = 'open';
+    }
+
+    if (data.fk && usedFks.has(data.fk)) {
+      const previousFk = data.fk;
+      data.fk = `fk-${uuidv4()}`;
+      addFix('duplicate-fk', index, `Toggle id '${previousFk}' already used, replaced by '${data.fk}'`);
+    }
+    usedFks.add(data.fk);
+
+    const hasChildIds = Array.isArray(data.children)
+      && data.children.every((child) => typeof child === 'string');
+
+    if (!Number.isInteger(data.items) || data.items < 0) {
+      const items = hasChildIds ? data.children.length : 0;
+      addFix('invalid-items', index, `Items count '${data.items}' replaced by ${items}`);
+      data.items = items;
+    }
+
+    if (!hasChildIds) return;
+
+    data.children = data.children.filter((id) => {
+      const isOrphan = !ids.has(id) || id === block.id || claimedIds.has(id);
+
+      if (isOrphan) addFix('orphaned-child', index, `Child '${id}' removed, it's missing or nested in another toggle`);
+      claimedIds.add(id);
+
+      return !isOrphan;
+    });
+
+    if (data.items !== data.children.length) {
+      addFix('items-mismatch', index, `Items count ${data.items} replaced by the ${data.children.length} children`);
+      data.items = data.children.length;
+    }
+  });
+}
+
+/**
+ * Repairs a saved Editor.js document whose toggles don't match their
+ * nested blocks, e.g. after a nested block was deleted through the API
+ * or by a migration. The document isn't modified, a repaired copy is
+ * returned with the list of the fixes applied.
+ *
+ * The missing children can be detected only with the 'children' ids of
+ * the 'ids' save format, the 'count' format only knows how many blocks
+ * follow each toggle.
+ *
+ * @param {object} outputData - Editor.js output data
+ * @param {{toggleType: string}} [options] - tool name of the toggles, 'toggle' by default
+ * @returns {{data: object, fixes: Array<ToggleFix>}}
+ */
+export default function normalize(outputData, { toggleType = 'toggle' } = {}) {
+  const data = copyDocument(outputData);
+  const { blocks } = data;
+  const fixes = [];
+
+  const addFix = (type, index, message) => {
+    fixes.push({
+      type, index, fk: blocks[index].data.fk, message,
+    });
+  };
+
+  repairToggleData(blocks, toggleType, addFix);
+
+  // Fits the toggles to the blocks that really follow them
+  const repairNode = ({ block, children }) => {
+    children.forEach(repairNode);
+
+    const index = blocks.indexOf(block);
+
+    // The embedded children are not blocks of the document
+    if (block.type !== toggleType || index === -1) return;
+    const childIds = children.map((child) => child.block.id);
+
+    if (children.length < block.data.items) {
+      addFix('items-past-end', index, `Items count ${block.data.items} runs past the end of the document, replaced by ${children.length}`);
+      block.data.items = children.length;
+    }
+
+    const hasChildIds = Array.isArray(block.data.children)
+      && block.data.children.every((child) => typeof child === 'string');
+
+    if (hasChildIds && childIds.every(Boolean)
+      && childIds.join(' ') !== block.data.children.join(' ')) {
+      addFix('broken-nesting', index, 'Children replaced by the blocks that follow the toggle');
+      block.data.children = childIds;
+    }
+  };
+
+  buildToggleTree(blocks, toggleType).forEach(repairNode);
+
+  return { data, fixes };
+}
+
+/**
+ * Returns the problems found in the toggles of a saved Editor.js
+ * document, as the fixes 'normalize' would apply. An empty list
+ * means the document is consistent.
+ *
+ * @param {object} outputData - Editor.js output data
+ * @param {{toggleType: string}} [options] - tool name of the toggles, 'toggle' by default
+ * @returns {Array<ToggleFix>}
+ */
+export function validate(outputData, options) {
+  return normalize(outputData, options).fixes;
+}
@@ -0,0 +1,149 @@
+/**
+ * @typedef {object} ToggleTreeNode
+ * @description Block of an Editor.js document with its nested blocks
+ * @property {object} block - Editor.js block data
+ * @property {Array<ToggleTreeNode>} children - blocks nested in the block, if it's a toggle
+ */
+
+/**
+ * Returns true if the toggle embeds the full data of its nested blocks,
+ * as saved with the 'tree' save format.
+ *
+ * @param {object} block - Editor.js block
+ * @returns {boolean}
+ */
+export function hasEmbeddedChildren(block) {
+  const { children } = block.data || {};
+
+  return Array.isArray(children) && children.length > 0
+    && children.every((child) => typeof child === 'object' && child !== null);
+}
+
+/**
+ * Returns true if two blocks are the same block, by their id or,
+ * without ids, by their content.
+ *
+ * @param {object} [first] - Editor.js block
+ * @param {object} [second] - Editor.js block
+ * @returns {boolean}
+ */
+function isSameBlock(first, second) {
+  if (!first || !second) return false;
+  if (first.id || second.id) return first.id === second.id;
+
+  return first.type === second.type && JSON.stringify(first.data) === JSON.stringify(second.data);
+}
+
+/**
+ * Reads an embedded block and, if it's a toggle, its embedded children.
+ *
+ * @param {object} block - Editor.js block
+ * @param {string} toggleType - tool name of the toggles
+ * @returns {ToggleTreeNode}
+ */
+function readEmbeddedNode(block, toggleType) {
+  const isToggle = block.type === toggleType && hasEmbeddedChildren(block);
+  const children = isToggle ? block.data.children : [];
+
+  return { block, children: children.map((child) => readEmbeddedNode(child, toggleType)) };
+}
+
+/**
+ * Reads the block at the current position and, if it's a toggle,
+ * the 'items' blocks nested directly in it with their own descendants.
+ * The toggles whose embedded children are not followed by their blocks,
+ * e.g. stored by 'removeCollapsedChildren', own their embedded children.
+ *
+ * @param {Array<object>} blocks - Editor.js blocks
+ * @param {{index: number}} position - index of the next block to read
+ * @param {string} toggleType - tool name of the toggles
+ * @returns {ToggleTreeNode}
+ */
+function readNode(blocks, position, toggleType) {
+  const block = blocks[position.index];
+  const node = { block, children: [] };
+  position.index += 1;
+
+  if (block.type === toggleType && hasEmbeddedChildren(block)
+    && !isSameBlock(block.data.children[0], blocks[position.index])) {
+    return readEmbeddedNode(block, toggleType);
+  }
+
+  if (block.type === toggleType) {
+    const items = Number(block.data?.items) || 0;
+
+    for (let i = 0; i < items && position.index < blocks.length; i += 1) {
+      node.children.push(readNode(blocks, position, toggleType));
+    }
+  }
+
+  return node;
+}
+
+/**
+ * Builds the toggle tree of an Editor.js document, where each toggle
+ * owns the blocks saved after it, following its 'items' count, or its
+ * embedded children when those blocks are not in the document.
+ *
+ * @param {Array<object>} blocks - Editor.js blocks
+ * @param {string} [toggleType] - tool name of the toggles
+ * @returns {Array<ToggleTreeNode>}
+ */
+export default function buildToggleTree(blocks, toggleType = 'toggle') {
+  const tree = [];
+  const position = { index: 0 };
+
+  while (position.index < blocks.length) {
+    tree.push(readNode(blocks, position, toggleType));
+  }
+
+  return tree;
+}
+
+/**
+ * Returns the name of the accordion group of each toggle in accordion
+ * mode: the toggles nested directly in the same toggle or, at the top
+ * level, the consecutive toggles. Opening one of them closes the others.
+ *
+ * @param {Array<ToggleTreeNode>} tree - toggle tree of the document
+ * @param {object} [options]
+ * @param {string} [options.toggleType] - tool name of the toggles
+ * @param {boolean} [options.accordion] - accordion mode of the toggles without the setting
+ * @returns {Map<object, string>} - group names by toggle block
+ */
+export function getAccordionGroups(tree, { toggleType = 'toggle', accordion = false } = {}) {
+  const groups = new Map();
+  let count = 0;
+
+  const addGroup = (nodes) => {
+    const toggles = nodes.filter(({ block }) => block.type === toggleType
+      && (block.data?.accordion ?? accordion));
+
+    if (!toggles.length) return;
+
+    count += 1;
+    toggles.forEach(({ block }) => groups.set(block, `accordion-${count}`));
+  };
+
+  const addNode = ({ block, children }) => {
+    if (block.type !== toggleType) return;
+
+    addGroup(children);
+    children.forEach(addNode);
+  };
+
+  let run = [];
+
+  tree.forEach((node) => {
+    if (node.block.type === toggleType) {
+      run.push(node);
+    } else {
+      addGroup(run);
+      run = [];
+    }
+  });
+  addGroup(run);
+  tree.forEach(addNode);
+
+  return groups;
+}
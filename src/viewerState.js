@@ -0,0 +1,42 @@
+/**
+ * Prefix of the localStorage keys of the toggle statuses
+ */
+const storageKeyPrefix = 'editorjs-toggle-block:';
+
+/**
+ * Viewer state adapter that keeps the toggle statuses in the localStorage.
+ * The errors of a disabled or full storage are ignored.
+ */
+const localStorageAdapter = {
+  get(fk) {
+    try {
+      return window.localStorage.getItem(`${storageKeyPrefix}${fk}`);
+    } catch (error) {
+      return null;
+    }
+  },
+  set(fk, status) {
+    try {
+      window.localStorage.setItem(`${storageKeyPrefix}${fk}`, status);
+    } catch (error) {
+      // The status is kept only for the current visit
+    }
+  },
+};
+
+/**
+ * Returns the adapter that keeps the statuses set by the viewer, from
+ * the 'viewerState' config: true for the localStorage, or an object with
+ * the 'get(fk)' and 'set(fk, status)' methods. 'get' may return a promise.
+ * Returns null when the viewer state is disabled.
+ *
+ * @param {boolean|{get: Function, set: Function}} [config] - viewerState config
+ * @returns {{get: Function, set: Function}|null}
+ */
+export default function createViewerState(config) {
+  if (config === true) return localStorageAdapter;
+
+  if (typeof config?.get === 'function' && typeof config?.set === 'function') return config;
+
+  return null;
+}
@@ -1,8 +1,11 @@
 module.exports = {
-  process() {
+  process(sourceText, sourcePath) {
+    if (sourcePath.endsWith('.svg')) {
+      return { code: `module.exports = ${JSON.stringify(sourceText)};` };
+    }
     return { code: 'module.exports = {};' };
   },
-  getCacheKey() {
-    return 'assetsTransform';
+  getCacheKey(sourceText, sourcePath) {
+    return `assetsTransform:${sourcePath}`;
   },
 };
@@ -1,3 +1,5 @@
+import { createDefaultBlock } from '../testHelpers';
+
 const editor = {
   blocks: {
     getCurrentBlockIndex: () => 0,
@@ -12,10 +14,21 @@ const editor = {
       const redactor = editor.blocks.getRedactor();
       const { children } = redactor;
       const child = children[index];
+      const id = `12${index}id`;
       return {
-        id: `12${index}id`, type: 'paragraph', data: {}, holder: child,
+        id,
+        name: 'paragraph',
+        type: 'paragraph',
+        data: {},
+        holder: child,
+        save: () => Promise.resolve({ id, tool: 'paragraph', data: { text: child.textContent } }),
       };
     },
+    getById: (id) => {
+      const redactor = editor.blocks.getRedactor();
+      const index = Array.from(redactor.children).findIndex((child, i) => `12${i}id` === id);
+      return index === -1 ? null : editor.blocks.getBlockByIndex(index);
+    },
     getBlocksCount: () => 4,
     move: (finalPosition, currentPosition) => () => {
       const redactor = editor.blocks.getRedactor();
@@ -26,14 +39,60 @@ const editor = {
       const currentBlock = redactor.children[index];
       currentBlock.remove();
     },
-    insert: (block) => {
+    insert: (block, data, config, index) => {
       const redactor = editor.blocks.getRedactor();
-      redactor.appendChild(block);
+      const holder = typeof block === 'string' ? createDefaultBlock(data) : block;
+      redactor.insertBefore(holder, redactor.children[index] ?? null);
+    },
+  },
+  ui: {
+    nodes: {
+      get wrapper() {
+        return editor.blocks.getRedactor().parentElement;
+      },
+      get redactor() {
+        return editor.blocks.getRedactor();
+      },
     },
   },
   toolbar: {
     close: () => true,
   },
+  sanitizer: {
+    clean: (taintString, config) => {
+      const container = document.createElement('div');
+      container.innerHTML = taintString;
+
+      // Like the editor, the rules are applied from the outer elements
+      const cleanChildren = (parent) => Array.from(parent.children).forEach((element) => {
+        const rule = config[element.tagName.toLowerCase()];
+        const rules = typeof rule === 'function' ? rule(element) : rule;
+
+        cleanChildren(element);
+
+        if (!rules) {
+          element.replaceWith(...element.childNodes);
+          return;
+        }
+
+        Array.from(element.attributes).forEach(({ name, value }) => {
+          const attributeRule = rules[name];
+          const isAllowed = typeof attributeRule === 'function'
+            ? attributeRule(value, element)
+            : attributeRule === true || (Boolean(attributeRule) && attributeRule === value);
+
+          if (!isAllowed) element.removeAttribute(name);
+        });
+      });
+
+      cleanChildren(container);
+
+      return container.innerHTML;
+    },
+  },
+  i18n: {
+    t: (text) => text,
+  },
   caret: {
     setToBlock: (index) => index,
   },
@@ -0,0 +1,25 @@
+import isShortcut from '../src/shortcuts';
+
+describe('isShortcut', () => {
+  const keydown = (options) => new KeyboardEvent('keydown', options);
+
+  it('when the modifiers and the key match', () => {
+    expect(isShortcut(keydown({ code: 'ArrowDown', ctrlKey: true, altKey: true }), 'CMD+ALT+ArrowDown')).toBe(true);
+    expect(isShortcut(keydown({ code: 'ArrowDown', metaKey: true, altKey: true }), 'cmd+alt+arrowdown')).toBe(true);
+    expect(isShortcut(keydown({ code: 'KeyE', key: 'E', shiftKey: true }), 'SHIFT+e')).toBe(true);
+  });
+
+  it('when a modifier does not match', () => {
+    expect(isShortcut(keydown({ code: 'ArrowDown', ctrlKey: true }), 'CMD+ALT+ArrowDown')).toBe(false);
+    expect(isShortcut(keydown({ code: 'KeyE', ctrlKey: true, shiftKey: true }), 'CMD+KeyE')).toBe(false);
+  });
+
+  it('when the key does not match', () => {
+    expect(isShortcut(keydown({ code: 'ArrowUp', ctrlKey: true, altKey: true }), 'CMD+ALT+ArrowDown')).toBe(false);
+  });
+
+  it('when the shortcut is disabled', () => {
+    expect(isShortcut(keydown({ code: 'ArrowDown' }), false)).toBe(false);
+    expect(isShortcut(keydown({ code: 'ArrowDown' }), '')).toBe(false);
+  });
+});
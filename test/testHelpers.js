@@ -35,10 +35,15 @@ export function getHiddenAttribute(redactor) {
   return (children.length + defaultContent.length) - 1;
 }
 
+export function nestHolder(toggleBlock, holder) {
+  holder.setAttribute('foreignKey', toggleBlock.wrapper.id);
+  toggleBlock.getTreeIndex().setParent(holder, toggleBlock.wrapper.id);
+}
+
 export function createNestedBlock(toggleBlock, data) {
   const newBlock = document.createElement('div');
   newBlock.classList.add('ce-block', 'toggle-block__item');
-  newBlock.setAttribute('foreignKey', toggleBlock.wrapper.id);
+  nestHolder(toggleBlock, newBlock);
   newBlock.setAttribute('id', uuidv4());
 
   if (toggleBlock.data.status === 'closed') {
@@ -2,10 +2,11 @@ import ToggleBlock from '../src';
 import createToggleBlock from './fixtures/toggle';
 import editor from './fixtures/editor';
 import data from './fixtures/toolData';
+import removeCollapsedChildren from '../src/utils/lazy';
 import {
   getHiddenAttribute, generateFullToggle, createNestedBlock, destroyFullToggle,
   extractionBlock, createDefaultBlock, createToggle, getEditorElements, nestBlock,
-  createToggleRoot, changeToggleStatus, startDocument,
+  createToggleRoot, changeToggleStatus, startDocument, nestHolder,
 } from './testHelpers';
 
 describe('ToggleBlock', () => {
@@ -310,6 +311,219 @@ describe('ToggleBlock', () => {
     });
   });
 
+  describe('validates the toggle triggers', () => {
+    let insert;
+    let deleteBlock;
+
+    const typeTrigger = (toggle, text, name = 'paragraph') => {
+      const block = createDefaultBlock({ text });
+      const getBlockByIndex = jest.spyOn(editor.blocks, 'getBlockByIndex').mockImplementation(() => ({ name, holder: block }));
+
+      toggle.createToggleWithShortcut(block.firstChild.firstChild);
+      getBlockByIndex.mockRestore();
+    };
+
+    beforeEach(() => {
+      insert = jest.spyOn(editor.blocks, 'insert').mockImplementation(() => {});
+      deleteBlock = jest.spyOn(editor.blocks, 'delete').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      insert.mockRestore();
+      deleteBlock.mockRestore();
+    });
+
+    it('creates a toggle from an untouched paragraph', () => {
+      typeTrigger(toggleBlock, '> ');
+
+      expect(insert).toHaveBeenCalledWith('toggle', { text: '' }, editor, 0, true);
+      expect(deleteBlock).toHaveBeenCalledWith(1);
+    });
+
+    it('when the paragraph has more text', () => {
+      typeTrigger(toggleBlock, '> Some text');
+      typeTrigger(toggleBlock, 'Some > ');
+
+      expect(insert).not.toHaveBeenCalled();
+    });
+
+    it('when the block is not a paragraph', () => {
+      typeTrigger(toggleBlock, '> ', 'quote');
+
+      expect(insert).not.toHaveBeenCalled();
+    });
+
+    it('when the trigger is changed through the config', () => {
+      const myToggleBlock = new ToggleBlock({ data: {}, api: editor, config: { trigger: '+' } });
+
+      typeTrigger(myToggleBlock, '> ');
+      typeTrigger(myToggleBlock, '+# ');
+
+      expect(insert).toHaveBeenCalledTimes(1);
+      expect(insert).toHaveBeenCalledWith('toggle', { text: '', level: 1 }, editor, 0, true);
+    });
+
+    it('when the trigger is disabled', () => {
+      const myToggleBlock = new ToggleBlock({ data: {}, api: editor, config: { trigger: false } });
+
+      typeTrigger(myToggleBlock, '> ');
+
+      expect(insert).not.toHaveBeenCalled();
+    });
+
+    it('when extra triggers are provided', () => {
+      const myToggleBlock = new ToggleBlock({
+        data: {},
+        api: editor,
+        config: {
+          trigger: false,
+          triggers: [{ text: '>>', status: 'closed' }, { text: '!!', level: 3 }],
+        },
+      });
+
+      typeTrigger(myToggleBlock, '>> ');
+      typeTrigger(myToggleBlock, '!! ');
+
+      expect(insert).toHaveBeenCalledWith('toggle', { text: '', status: 'closed' }, editor, 0, true);
+      expect(insert).toHaveBeenCalledWith('toggle', { text: '', level: 3 }, editor, 0, true);
+    });
+  });
+
+  describe('validates the accordion mode', () => {
+    let toggles;
+
+    const createToggles = (config, accordionData = {}) => {
+      const create = (text, status) => new ToggleBlock({
+        data: { text, status, accordion: accordionData[text] }, api: editor, config,
+      });
+
+      toggles = {
+        A: create('A', 'open'),
+        B: create('B', 'closed'),
+        C: create('C', 'open'),
+        N1: create('N1', 'open'),
+        N2: create('N2', 'closed'),
+      };
+
+      redactor.appendChild(createToggleRoot(toggles.A));
+      redactor.appendChild(createToggleRoot(toggles.N1));
+      redactor.appendChild(createNestedBlock(toggles.N1, { text: 'Nested child' }));
+      redactor.appendChild(createToggleRoot(toggles.N2));
+      redactor.appendChild(createToggleRoot(toggles.B));
+      redactor.appendChild(createDefaultBlock({ text: 'Paragraph' }));
+      redactor.appendChild(createToggleRoot(toggles.C));
+      nestHolder(toggles.A, toggles.N1.wrapper.closest('.ce-block'));
+      nestHolder(toggles.A, toggles.N2.wrapper.closest('.ce-block'));
+    };
+
+    const getStatuses = () => Object.values(toggles).map((toggle) => toggle.data.status);
+
+    it('closes the consecutive top-level toggles', () => {
+      createToggles({ accordion: true });
+      toggles.B.resolveToggleAction();
+
+      expect(getStatuses()).toEqual(['closed', 'open', 'open', 'open', 'closed']);
+      expect(toggles.N1.getChildHolders()[0].hidden).toBe(true);
+    });
+
+    it('closes the toggles nested in the same toggle', () => {
+      createToggles({ accordion: true });
+      toggles.N2.resolveToggleAction();
+
+      expect(getStatuses()).toEqual(['open', 'closed', 'open', 'closed', 'open']);
+    });
+
+    it('when the accordion mode is disabled', () => {
+      createToggles();
+      toggles.B.resolveToggleAction();
+
+      expect(getStatuses()).toEqual(['open', 'open', 'open', 'open', 'closed']);
+    });
+
+    it('when the accordion mode is set in the toggle', () => {
+      createToggles({ accordion: true }, { B: false, N2: true });
+      toggles.B.resolveToggleAction();
+      toggles.N2.resolveToggleAction();
+
+      expect(getStatuses()).toEqual(['open', 'open', 'open', 'closed', 'open']);
+    });
+
+    it('switches the accordion mode of the toggle with its tune', () => {
+      createToggles();
+      const accordionTune = toggles.B.getToggleTunes()[1];
+
+      expect(accordionTune.label).toBe('Accordion');
+      expect(accordionTune.isActive).toBe(false);
+
+      accordionTune.onActivate();
+
+      expect(toggles.B.isAccordion()).toBe(true);
+      expect(toggles.B.save(toggles.B.wrapper).accordion).toBe(true);
+      expect(toggles.A.save(toggles.A.wrapper)).not.toHaveProperty('accordion');
+    });
+
+    it('enables the accordion mode of the pasted details with a name', () => {
+      const details = document.createElement('details');
+      details.setAttribute('name', 'faq');
+      details.innerHTML = '<summary>Question</summary>Answer';
+
+      expect(toggleBlock.getDataFromDetails(details).accordion).toBe(true);
+    });
+  });
+
+  describe('validates the theming', () => {
+    it('sets the status and the empty toggles without inline styles', () => {
+      redactor.appendChild(createToggleRoot(toggleBlock));
+      const { wrapper } = toggleBlock;
+
+      toggleBlock.setDefaultContent();
+      toggleBlock.setStatus('open');
+
+      expect(wrapper.dataset.status).toBe('open');
+      expect(wrapper).toHaveClass('toggle-block__selector--empty');
+      expect(wrapper.firstChild.getAttribute('style')).toBeNull();
+      expect(wrapper.firstChild.firstChild.getAttribute('style')).toBeNull();
+
+      redactor.appendChild(createNestedBlock(toggleBlock, { text: 'Nested' }));
+      toggleBlock.setDefaultContent();
+      toggleBlock.setStatus('closed');
+
+      expect(wrapper.dataset.status).toBe('closed');
+      expect(wrapper).not.toHaveClass('toggle-block__selector--empty');
+    });
+
+    it('enables the icon transition after the render', () => {
+      toggleBlock.render();
+      toggleBlock.setInitialTransition();
+
+      expect(toggleBlock.wrapper).toHaveClass('toggle-block__selector--animated');
+    });
+
+    it('swaps the icons given through the config', () => {
+      const icons = { collapsed: '<svg class="plus"></svg>', expanded: '<svg class="minus"></svg>' };
+      const myToggleBlock = new ToggleBlock({ data: { status: 'closed' }, api: editor, config: { icons } });
+      const icon = myToggleBlock.render().firstChild;
+
+      expect(icon.innerHTML).toBe(icons.collapsed);
+      expect(icon).toHaveClass('toggle-block__icon--swapped');
+
+      myToggleBlock.setStatus('open');
+
+      expect(icon.innerHTML).toBe(icons.expanded);
+    });
+
+    it('when only the collapsed icon is given', () => {
+      const icons = { collapsed: '<svg class="arrow"></svg>' };
+      const myToggleBlock = new ToggleBlock({ data: { status: 'closed' }, api: editor, config: { icons } });
+      const icon = myToggleBlock.render().firstChild;
+
+      myToggleBlock.setStatus('open');
+
+      expect(icon.innerHTML).toBe(icons.collapsed);
+      expect(icon).not.toHaveClass('toggle-block__icon--swapped');
+    });
+  });
+
   describe('validates shortcut to nest a block inside a toggle', () => {
     let keyboardEvent;
 
@@ -362,6 +576,162 @@ describe('ToggleBlock', () => {
     });
   });
 
+  describe('validates the multi-level indentation', () => {
+    let rootToggle;
+    let nestedToggle;
+    let move;
+
+    const getHolder = (toggle) => toggle.wrapper.closest('.ce-block');
+    const getTexts = (holders) => holders.map((holder) => (
+      holder.querySelector('.toggle-block__input') ?? holder
+    ).textContent);
+
+    beforeEach(() => {
+      rootToggle = new ToggleBlock({ data: { text: 'Root', status: 'open' }, api: editor });
+      nestedToggle = new ToggleBlock({ data: { text: 'Nested', status: 'open' }, api: editor });
+
+      redactor.appendChild(createToggleRoot(rootToggle));
+      redactor.appendChild(createNestedBlock(rootToggle, { text: 'A' }));
+      redactor.appendChild(createToggleRoot(nestedToggle));
+      redactor.appendChild(createNestedBlock(nestedToggle, { text: 'B' }));
+      redactor.appendChild(createNestedBlock(rootToggle, { text: 'C' }));
+      redactor.appendChild(createDefaultBlock({ text: 'D' }));
+      nestHolder(rootToggle, getHolder(nestedToggle));
+
+      move = jest.spyOn(editor.blocks, 'move').mockImplementation((toIndex, fromIndex) => {
+        const holder = redactor.children[fromIndex];
+        holder.remove();
+        redactor.insertBefore(holder, redactor.children[toIndex] ?? null);
+      });
+    });
+
+    afterEach(() => {
+      move.mockRestore();
+    });
+
+    it('nests a block in the previous toggle of the same toggle', () => {
+      rootToggle.indentBlock(redactor.children[4]);
+
+      expect(redactor.children[4].getAttribute('foreignKey')).toBe(nestedToggle.wrapper.id);
+      expect(getTexts(nestedToggle.getChildHolders())).toEqual(['B', 'C']);
+      expect(rootToggle.getChildHolders().length).toBe(2);
+    });
+
+    it('when the previous block of the toggle is not a toggle', () => {
+      rootToggle.indentBlock(redactor.children[1]);
+
+      expect(redactor.children[1].getAttribute('foreignKey')).toBe(rootToggle.wrapper.id);
+    });
+
+    it('opens the toggle the block is nested in', () => {
+      nestedToggle.setStatus('closed');
+      nestedToggle.hideAndShowBlocks();
+      rootToggle.indentBlock(redactor.children[4]);
+
+      expect(nestedToggle.data.status).toBe('open');
+      expect(redactor.children[3].hidden).toBe(false);
+      expect(redactor.children[4].hidden).toBe(false);
+    });
+
+    it('extracts a block exactly one level', () => {
+      jest.useFakeTimers();
+      rootToggle.extractBlock(3);
+      jest.runOnlyPendingTimers();
+      jest.useRealTimers();
+
+      expect(move).not.toHaveBeenCalled();
+      expect(redactor.children[3].getAttribute('foreignKey')).toBe(rootToggle.wrapper.id);
+      expect(getTexts(rootToggle.getChildHolders())).toEqual(['A', 'Nested', 'B', 'C']);
+      expect(nestedToggle.getChildHolders().length).toBe(0);
+    });
+
+    it('extracts a toggle with its nested blocks', () => {
+      jest.useFakeTimers();
+      rootToggle.extractBlock(2);
+      jest.runOnlyPendingTimers();
+      jest.useRealTimers();
+
+      expect(getTexts(Array.from(redactor.children))).toEqual(['Root', 'A', 'C', 'Nested', 'B', 'D']);
+      expect(getHolder(nestedToggle).hasAttribute('foreignKey')).toBe(false);
+      expect(getTexts(rootToggle.getChildHolders())).toEqual(['A', 'C']);
+      expect(getTexts(nestedToggle.getChildHolders())).toEqual(['B']);
+    });
+
+    const select = (...indexes) => {
+      indexes.forEach((index) => redactor.children[index].classList.add('ce-block--selected'));
+    };
+    const pressTab = (shiftKey = false) => {
+      const event = new KeyboardEvent('keydown', {
+        code: 'Tab', key: 'Tab', shiftKey, bubbles: true, cancelable: true,
+      });
+      redactor.querySelector('.ce-block--selected').dispatchEvent(event);
+      return event;
+    };
+
+    describe('when several blocks are selected', () => {
+      beforeEach(() => {
+        redactor.appendChild(createDefaultBlock({ text: 'E' }));
+        rootToggle.addShortcutsListener();
+      });
+
+      it('nests the selected blocks in the previous toggle', () => {
+        select(5, 6);
+        const event = pressTab();
+
+        expect(event.defaultPrevented).toBe(true);
+        expect(getTexts(rootToggle.getChildHolders())).toEqual(['A', 'Nested', 'C', 'D', 'E']);
+        expect(redactor.querySelectorAll('.ce-block--selected').length).toBe(2);
+      });
+
+      it('extracts the selected blocks with their nested blocks', () => {
+        select(2, 3, 4);
+        pressTab(true);
+
+        expect(getTexts(Array.from(redactor.children))).toEqual(['Root', 'A', 'Nested', 'B', 'C', 'D', 'E']);
+        expect(getTexts(rootToggle.getChildHolders())).toEqual(['A']);
+        expect(getTexts(nestedToggle.getChildHolders())).toEqual(['B']);
+        expect(redactor.children[4].hasAttribute('foreignKey')).toBe(false);
+      });
+
+      it('when the selected blocks are not at the same level', () => {
+        select(3, 4);
+        const event = pressTab(true);
+
+        expect(event.defaultPrevented).toBe(true);
+        expect(getTexts(rootToggle.getChildHolders())).toEqual(['A', 'Nested', 'C']);
+        expect(getTexts(nestedToggle.getChildHolders())).toEqual(['B']);
+      });
+    });
+
+    describe('when the toggles are re-created by the read-only mode switch', () => {
+      beforeEach(() => {
+        redactor.appendChild(createDefaultBlock({ text: 'E' }));
+
+        // The toggle that added the listeners is no longer rendered
+        const previousToggle = new ToggleBlock({ data: {}, api: editor, readOnly: true });
+        previousToggle.render();
+        previousToggle.addShortcutsListener();
+      });
+
+      it('nests the selected blocks back in the edit mode', () => {
+        select(5, 6);
+        pressTab();
+
+        expect(getTexts(rootToggle.getChildHolders())).toEqual(['A', 'Nested', 'C', 'D', 'E']);
+      });
+
+      it('when the rendered toggles are read-only', () => {
+        rootToggle.readOnly = true;
+        nestedToggle.readOnly = true;
+        select(5, 6);
+        const event = pressTab();
+
+        expect(event.defaultPrevented).toBe(false);
+        expect(getTexts(rootToggle.getChildHolders())).toEqual(['A', 'Nested', 'C']);
+      });
+    });
+  });
+
   describe('validates the config', () => {
     let myToggleBlock;
 
@@ -386,6 +756,26 @@ describe('ToggleBlock', () => {
       expect(defaultContentFromQuery).toBe(DEFAULT_CONFIG.defaultContent);
     });
 
+    it('when the strings are translated', () => {
+      const messages = {
+        Toggle: 'Desplegable',
+        'Empty toggle. Click or drop blocks inside.': 'Desplegable vacío.',
+        Text: 'Texto',
+        'Heading 1': 'Encabezado 1',
+      };
+      const api = { ...editor, i18n: { t: (text) => messages[text] ?? text } };
+
+      myToggleBlock = new ToggleBlock({ data, api });
+      myToggleBlock.render();
+
+      const { placeholder, defaultContent } = myToggleBlock;
+      const labels = myToggleBlock.getLevelTunes().map(({ label }) => label);
+
+      expect(placeholder).toBe('Desplegable');
+      expect(defaultContent).toBe('Desplegable vacío.');
+      expect(labels).toEqual(['Texto', 'Encabezado 1', 'Heading 2', 'Heading 3']);
+    });
+
     it('when the config is provided', () => {
       const config = {
         placeholder: 'My placeholder',
@@ -407,4 +797,1255 @@ describe('ToggleBlock', () => {
       expect(defaultContentFromQuery).toBe(config.defaultContent);
     });
   });
+
+  describe('validates the save formats', () => {
+    let myToggleBlock;
+
+    const renderToggle = (config) => {
+      myToggleBlock = new ToggleBlock({ data: data[0].data, api: editor, config });
+      generateFullToggle(myToggleBlock, data).forEach((block) => redactor.appendChild(block));
+    };
+
+    it('when the save format is not provided', () => {
+      renderToggle();
+      const savedData = myToggleBlock.save(myToggleBlock.wrapper);
+
+      expect(savedData.items).toBe(3);
+      expect(savedData.children).toBeUndefined();
+    });
+
+    it('when the save format is ids', () => {
+      renderToggle({ saveFormat: 'ids' });
+      const savedData = myToggleBlock.save(myToggleBlock.wrapper);
+
+      expect(savedData.items).toBe(3);
+      expect(savedData.children).toEqual(['121id', '122id', '123id']);
+    });
+
+    it('when the save format is tree', async () => {
+      renderToggle({ saveFormat: 'tree' });
+      const savedData = await myToggleBlock.save(myToggleBlock.wrapper);
+
+      expect(savedData.items).toBe(3);
+      expect(savedData.children).toEqual([
+        { id: '121id', type: 'paragraph', data: { text: 'The top' } },
+        { id: '122id', type: 'paragraph', data: { text: 'Line in the middle' } },
+        { id: '123id', type: 'paragraph', data: { text: 'Last block in the toggle' } },
+      ]);
+    });
+  });
+
+  describe('validates the children data', () => {
+    let myToggleBlock;
+
+    const renderToggle = (children) => {
+      myToggleBlock = new ToggleBlock({
+        data: { text: 'Toggle with children', status: 'open', children },
+        api: editor,
+      });
+      redactor.appendChild(createToggleRoot(myToggleBlock));
+    };
+
+    it('when the children are ids of rendered blocks', () => {
+      renderToggle(['121id', '122id']);
+      redactor.appendChild(createDefaultBlock({ text: 'First child' }));
+      redactor.appendChild(createDefaultBlock({ text: 'Second child' }));
+      redactor.appendChild(createDefaultBlock({ text: 'Outside block' }));
+
+      myToggleBlock.renderItems();
+
+      const children = redactor.querySelectorAll(`div[foreignKey="${myToggleBlock.wrapper.id}"]`);
+      expect(myToggleBlock.data.items).toBe(2);
+      expect(children.length).toBe(2);
+      expect(children[1].textContent).toBe('Second child');
+    });
+
+    it('when the children are embedded blocks', () => {
+      renderToggle([
+        { id: 'missing-1', type: 'paragraph', data: { text: 'Embedded first' } },
+        { id: 'missing-2', type: 'paragraph', data: { text: 'Embedded second' } },
+      ]);
+      redactor.appendChild(createDefaultBlock({ text: 'Outside block' }));
+
+      myToggleBlock.renderItems();
+
+      const children = redactor.querySelectorAll(`div[foreignKey="${myToggleBlock.wrapper.id}"]`);
+      expect(myToggleBlock.data.items).toBe(2);
+      expect(children[0].textContent).toBe('Embedded first');
+      expect(children[1].textContent).toBe('Embedded second');
+      expect(redactor.lastChild.textContent).toBe('Outside block');
+    });
+
+    it('when an embedded child is a toggle with children', () => {
+      const insert = jest.spyOn(editor.blocks, 'insert').mockImplementation((type, blockData, config, index) => {
+        const holder = type === 'toggle'
+          ? createToggleRoot(new ToggleBlock({ data: blockData, api: editor }))
+          : createDefaultBlock(blockData);
+        redactor.insertBefore(holder, redactor.children[index] ?? null);
+      });
+
+      jest.useFakeTimers();
+      renderToggle([
+        {
+          type: 'toggle',
+          data: {
+            text: 'Nested toggle',
+            status: 'open',
+            children: [{ type: 'paragraph', data: { text: 'Nested child' } }],
+          },
+        },
+        { type: 'paragraph', data: { text: 'Next sibling' } },
+      ]);
+      redactor.appendChild(createDefaultBlock({ text: 'Outside block' }));
+      jest.runOnlyPendingTimers();
+      jest.runOnlyPendingTimers();
+      jest.useRealTimers();
+      insert.mockRestore();
+
+      const [, nestedHolder, nestedChild, sibling, outside] = redactor.children;
+      const nestedId = nestedHolder.querySelector('.toggle-block__selector').id;
+
+      expect(redactor.children.length).toBe(5);
+      expect(nestedChild.textContent).toBe('Nested child');
+      expect(nestedChild.getAttribute('foreignKey')).toBe(nestedId);
+      expect(sibling.textContent).toBe('Next sibling');
+      expect(sibling.getAttribute('foreignKey')).toBe(myToggleBlock.wrapper.id);
+      expect(outside.textContent).toBe('Outside block');
+      expect(outside.hasAttribute('foreignKey')).toBe(false);
+      expect(myToggleBlock.getDecendentsNumber(myToggleBlock.wrapper.id)).toBe(3);
+    });
+
+    describe('when a rendered child is not placed after the toggle', () => {
+      let move;
+
+      beforeEach(() => {
+        move = jest.spyOn(editor.blocks, 'move').mockImplementation((toIndex, fromIndex) => {
+          const holder = redactor.children[fromIndex];
+          holder.remove();
+          redactor.insertBefore(holder, redactor.children[toIndex] ?? null);
+        });
+      });
+
+      afterEach(() => move.mockRestore());
+
+      it('moves the block placed after the toggle', () => {
+        renderToggle(['122id']);
+        redactor.appendChild(createDefaultBlock({ text: 'Outside block' }));
+        redactor.appendChild(createDefaultBlock({ text: 'Child' }));
+
+        myToggleBlock.renderItems();
+
+        expect(myToggleBlock.data.items).toBe(1);
+        expect(redactor.children[1].textContent).toBe('Child');
+        expect(redactor.children[1].getAttribute('foreignKey')).toBe(myToggleBlock.wrapper.id);
+        expect(redactor.children[2].hasAttribute('foreignKey')).toBe(false);
+      });
+
+      it('moves the block placed before the toggle', () => {
+        redactor.appendChild(createDefaultBlock({ text: 'Child' }));
+        renderToggle(['120id']);
+        redactor.appendChild(createDefaultBlock({ text: 'Outside block' }));
+
+        myToggleBlock.renderItems();
+
+        expect(myToggleBlock.data.items).toBe(1);
+        expect(redactor.children[0].contains(myToggleBlock.wrapper)).toBe(true);
+        expect(redactor.children[1].textContent).toBe('Child');
+        expect(redactor.children[1].getAttribute('foreignKey')).toBe(myToggleBlock.wrapper.id);
+      });
+    });
+  });
+
+  describe('validates the lazy children', () => {
+    let myToggleBlock;
+    const children = [
+      { id: 'missing-1', type: 'paragraph', data: { text: 'Embedded first' } },
+      { id: 'missing-2', type: 'paragraph', data: { text: 'Embedded second' } },
+    ];
+
+    const renderToggle = (status, config = { saveFormat: 'tree', lazyChildren: true }) => {
+      myToggleBlock = new ToggleBlock({
+        data: { text: 'Lazy toggle', status, children },
+        api: editor,
+        config,
+      });
+      redactor.appendChild(createToggleRoot(myToggleBlock));
+      redactor.appendChild(createDefaultBlock({ text: 'Outside block' }));
+      myToggleBlock.renderItems();
+    };
+    const getChildren = () => redactor.querySelectorAll(`div[foreignKey="${myToggleBlock.wrapper.id}"]`);
+
+    it('keeps the children of a closed toggle in its data', () => {
+      renderToggle('closed');
+      const savedData = myToggleBlock.save(myToggleBlock.wrapper);
+
+      expect(getChildren().length).toBe(0);
+      expect(redactor.children.length).toBe(2);
+      expect(savedData.items).toBe(2);
+      expect(savedData.children).toEqual(children);
+      expect(myToggleBlock.wrapper.lastChild.classList.contains('toggle-block__hidden')).toBe(true);
+    });
+
+    it('inserts the children the first time the toggle is opened', () => {
+      renderToggle('closed');
+      myToggleBlock.setStatus('open');
+      myToggleBlock.setStatus('closed');
+      myToggleBlock.setStatus('open');
+
+      const insertedChildren = getChildren();
+      expect(insertedChildren.length).toBe(2);
+      expect(insertedChildren[0].textContent).toBe('Embedded first');
+      expect(redactor.lastChild.textContent).toBe('Outside block');
+      expect(myToggleBlock.data.items).toBe(2);
+    });
+
+    it('when the toggle is open', () => {
+      renderToggle('open');
+
+      expect(getChildren().length).toBe(2);
+    });
+
+    it('when the save format is not tree', () => {
+      renderToggle('closed', { lazyChildren: true });
+
+      expect(getChildren().length).toBe(2);
+    });
+
+    describe('through a save and reload cycle', () => {
+      const stored = {
+        blocks: [
+          { id: 'lazy', type: 'toggle', data: { text: 'Lazy toggle', status: 'closed', children } },
+          { id: 'outside', type: 'paragraph', data: { text: 'Outside block' } },
+        ],
+      };
+      let toggles;
+      let spies;
+
+      // Renders the document like the editor, the blocks keep their saved id
+      const load = ({ blocks }) => {
+        startDocument();
+        redactor = document.querySelector('div.codex-editor__redactor');
+        toggles = [];
+
+        blocks.forEach(({ id, type, data: blockData }) => {
+          let holder = createDefaultBlock(blockData);
+
+          if (type === 'toggle') {
+            myToggleBlock = new ToggleBlock({
+              data: JSON.parse(JSON.stringify(blockData)),
+              api: editor,
+              config: { saveFormat: 'tree', lazyChildren: true },
+            });
+            toggles.push(myToggleBlock);
+            holder = createToggleRoot(myToggleBlock);
+          }
+
+          holder.dataset.id = id;
+          redactor.appendChild(holder);
+        });
+        toggles.forEach((toggle) => toggle.renderItems());
+      };
+
+      const saveDocument = () => Promise.all(Array.from(redactor.children).map((holder, index) => {
+        const toggle = toggles.find(({ wrapper }) => holder.contains(wrapper));
+
+        if (toggle) {
+          return Promise.resolve(toggle.save(toggle.wrapper)).then((toggleData) => ({
+            id: holder.dataset.id, type: 'toggle', data: JSON.parse(JSON.stringify(toggleData)),
+          }));
+        }
+
+        return editor.blocks.getBlockByIndex(index).save()
+          .then(({ id, tool, data: blockData }) => ({ id, type: tool, data: blockData }));
+      })).then((blocks) => ({ blocks }));
+
+      beforeEach(() => {
+        const { getBlockByIndex, insert } = editor.blocks;
+
+        spies = [
+          jest.spyOn(editor.blocks, 'getBlockByIndex').mockImplementation((index) => {
+            const block = getBlockByIndex(index);
+            const id = block.holder?.dataset.id ?? block.id;
+
+            return { ...block, id, save: () => block.save().then((saved) => ({ ...saved, id })) };
+          }),
+          jest.spyOn(editor.blocks, 'getById').mockImplementation((id) => {
+            const index = Array.from(redactor.children)
+              .findIndex((holder) => holder.dataset.id === id);
+
+            return index === -1 ? null : editor.blocks.getBlockByIndex(index);
+          }),
+          jest.spyOn(editor.blocks, 'insert').mockImplementation((type, blockData, config, index, focus, replace, id) => {
+            insert(type, blockData, config, index);
+            redactor.children[index].dataset.id = id;
+          }),
+        ];
+      });
+
+      afterEach(() => spies.forEach((spy) => spy.mockRestore()));
+
+      it('keeps the toggle lazy when the stored document is reloaded', async () => {
+        load(stored);
+        myToggleBlock.setStatus('open');
+        myToggleBlock.setStatus('closed');
+
+        const saved = await saveDocument();
+        const reloaded = removeCollapsedChildren(saved);
+
+        expect(saved.blocks.map(({ id }) => id)).toEqual(['lazy', 'missing-1', 'missing-2', 'outside']);
+        expect(reloaded.blocks.map(({ id }) => id)).toEqual(['lazy', 'outside']);
+        expect(reloaded.blocks[0].data.children).toEqual(children);
+
+        load(reloaded);
+
+        expect(getChildren().length).toBe(0);
+        expect(redactor.children.length).toBe(2);
+        expect(await saveDocument()).toEqual(reloaded);
+      });
+
+      it('when the blocks of the closed toggle are stored', async () => {
+        load(stored);
+        myToggleBlock.setStatus('open');
+        myToggleBlock.setStatus('closed');
+
+        load(await saveDocument());
+
+        expect(getChildren().length).toBe(2);
+      });
+    });
+  });
+
+  describe('validates the conversion', () => {
+    it('converts the toggle root text', () => {
+      expect(ToggleBlock.conversionConfig).toEqual({ import: 'text', export: 'text' });
+    });
+
+    it('unwraps the children when the toggle root is removed', () => {
+      const blocks = generateFullToggle(toggleBlock, data);
+      blocks.forEach((block) => redactor.appendChild(block));
+      const { id } = toggleBlock.wrapper;
+
+      redactor.firstChild.remove();
+      toggleBlock.removed();
+
+      expect(redactor.querySelectorAll(`div[foreignKey="${id}"]`).length).toBe(0);
+      expect(redactor.querySelectorAll('.toggle-block__item').length).toBe(0);
+      expect(redactor.querySelectorAll('div[hidden=""]').length).toBe(0);
+      expect(redactor.children.length).toBe(3);
+    });
+  });
+
+  describe('validates the paste of details elements', () => {
+    let details;
+
+    beforeEach(() => {
+      details = document.createElement('details');
+      details.innerHTML = '<summary>Pasted <b>toggle</b></summary>'
+        + '<p>First paragraph</p>Second <i>paragraph</i><br>Third paragraph'
+        + '<details open><summary>Nested toggle</summary><p>Nested paragraph</p></details>';
+    });
+
+    it('returns the toggle data of the details element', () => {
+      expect(toggleBlock.getDataFromDetails(details)).toEqual({
+        text: 'Pasted <b>toggle</b>',
+        status: 'closed',
+        children: [
+          { type: 'paragraph', data: { text: 'First paragraph' } },
+          { type: 'paragraph', data: { text: 'Second <i>paragraph</i>' } },
+          { type: 'paragraph', data: { text: 'Third paragraph' } },
+          {
+            type: 'toggle',
+            data: {
+              text: 'Nested toggle',
+              status: 'open',
+              children: [{ type: 'paragraph', data: { text: 'Nested paragraph' } }],
+            },
+          },
+        ],
+      });
+    });
+
+    it('when the details element is cleaned by the editor', () => {
+      const [pasteRules] = ToggleBlock.pasteConfig.tags;
+      const clean = (html, rules) => editor.sanitizer.clean(html, {
+        ...pasteRules, b: {}, i: {}, ...rules,
+      });
+      const container = document.createElement('div');
+      details.lastChild.setAttribute('name', 'faq');
+
+      // The editor keeps the paste tags of all the tools, then cleans the
+      // body with the toggle paste tags and the inline tools
+      container.innerHTML = clean(details.outerHTML, { p: {}, br: {} });
+      const pasted = container.firstChild;
+      pasted.innerHTML = clean(pasted.innerHTML);
+
+      const { children } = toggleBlock.getDataFromDetails(pasted);
+
+      expect(children.map(({ data: { text } }) => text)).toEqual([
+        'First paragraph', 'Second <i>paragraph</i>', 'Third paragraph', 'Nested toggle',
+      ]);
+      expect(children[3].data.accordion).toBe(true);
+      expect(children[3].data.children).toEqual([{ type: 'paragraph', data: { text: 'Nested paragraph' } }]);
+    });
+
+    it('fills the toggle and inserts its children', () => {
+      toggleBlock.data.items = 0;
+      redactor.appendChild(createToggleRoot(toggleBlock));
+      redactor.appendChild(createDefaultBlock({ text: 'Outside block' }));
+
+      toggleBlock.onPaste(new CustomEvent('tag', { detail: { data: details } }));
+
+      const { id } = toggleBlock.wrapper;
+      const children = redactor.querySelectorAll(`div[foreignKey="${id}"]`);
+
+      expect(toggleBlock.data.text).toBe('Pasted <b>toggle</b>');
+      expect(toggleBlock.data.status).toBe('closed');
+      expect(toggleBlock.data.items).toBe(4);
+      expect(toggleBlock.wrapper.children[1].innerHTML).toBe('Pasted <b>toggle</b>');
+      expect(children.length).toBe(4);
+      expect(children[0].hidden).toBe(true);
+      expect(redactor.lastChild.textContent).toBe('Outside block');
+    });
+  });
+
+  describe('validates the sanitization', () => {
+    it('declares the sanitize rules of the toggle text', () => {
+      expect(ToggleBlock.sanitize).toEqual({ text: { br: {} } });
+    });
+
+    it('cleans the toggle text on load', () => {
+      const text = '<b onclick="alert(1)" style="color: red">Bold</b> <img src="x" onerror="alert(1)">'
+        + '<meta http-equiv="refresh" content="0"><base href="/"><link rel="stylesheet" href="x.css">'
+        + '<form action="/steal"><a href="/doc" onmouseover="alert(1)">link</a></form>';
+      const myToggleBlock = new ToggleBlock({ data: { text }, api: editor });
+
+      expect(myToggleBlock.data.text).toBe('<b>Bold</b> <a href="/doc">link</a>');
+    });
+
+    it('removes the script elements and the unsafe links on load', () => {
+      const text = '<script>alert(1)</script><style>b { color: red }</style>'
+        + '<a href=" java&#x09;script:alert(1)">bad</a><a href="data:text/html,x">data</a>'
+        + '<a href="https://example.com" target="_blank">safe</a>';
+      const { data: { text: cleanText } } = new ToggleBlock({ data: { text }, api: editor });
+
+      expect(cleanText).not.toMatch(/<script|<style/);
+      expect(cleanText).toMatch(/<a>bad<\/a><a>data<\/a><a href="https:\/\/example.com" target="_blank">safe<\/a>$/);
+    });
+
+    it('keeps the markup of the inline tools on load', () => {
+      const text = '<mark class="cdx-marker">Marked</mark> <code class="inline-code">code</code> <u class="cdx-underline">text</u>';
+      const myToggleBlock = new ToggleBlock({ data: { text }, api: editor });
+
+      expect(myToggleBlock.data.text).toBe(text);
+    });
+
+    it('keeps the tags allowed by the config', () => {
+      const config = { sanitize: { span: { class: 'cdx-highlight' } } };
+      const text = '<span class="cdx-highlight" style="color: red">Highlighted</span><span class="other">text</span>';
+      const myToggleBlock = new ToggleBlock({ data: { text }, api: editor, config });
+
+      expect(myToggleBlock.data.text).toBe('<span class="cdx-highlight">Highlighted</span><span>text</span>');
+    });
+  });
+
+  describe('validates the document normalizer', () => {
+    it('returns the repaired document and the fixes', () => {
+      const outputData = { blocks: [{ type: 'toggle', data: { status: 'open', items: 2 } }] };
+      const { data: repaired, fixes } = ToggleBlock.normalize(outputData);
+
+      expect(repaired.blocks[0].data.items).toBe(0);
+      expect(fixes.map(({ type }) => type)).toEqual(['items-past-end']);
+      expect(ToggleBlock.validate(repaired)).toEqual([]);
+    });
+  });
+
+  describe('validates the expand and collapse actions', () => {
+    let rootToggle;
+    let nestedToggle;
+
+    const getHolder = (toggle) => toggle.wrapper.closest('.ce-block');
+
+    beforeEach(() => {
+      rootToggle = new ToggleBlock({ data: { text: 'Root', status: 'closed' }, api: editor });
+      nestedToggle = new ToggleBlock({ data: { text: 'Nested', status: 'closed' }, api: editor });
+
+      redactor.appendChild(createToggleRoot(rootToggle));
+      redactor.appendChild(createNestedBlock(rootToggle, { text: 'Root child' }));
+      redactor.appendChild(createToggleRoot(nestedToggle));
+      redactor.appendChild(createNestedBlock(nestedToggle, { text: 'Nested child' }));
+      nestHolder(rootToggle, getHolder(nestedToggle));
+    });
+
+    it('returns the depth of the toggles', () => {
+      expect(rootToggle.getDepth()).toBe(0);
+      expect(nestedToggle.getDepth()).toBe(1);
+    });
+
+    it('expands all the toggles', () => {
+      ToggleBlock.expandAll();
+
+      expect(rootToggle.data.status).toBe('open');
+      expect(nestedToggle.data.status).toBe('open');
+      expect(getHolder(nestedToggle).getAttribute('status')).toBe('open');
+      expect(redactor.querySelectorAll('div[hidden=""]').length).toBe(0);
+    });
+
+    it('collapses all the toggles', () => {
+      ToggleBlock.expandAll();
+      ToggleBlock.collapseAll(document.getElementById('editorjs'));
+
+      expect(rootToggle.data.status).toBe('closed');
+      expect(nestedToggle.data.status).toBe('closed');
+      expect(redactor.querySelectorAll('div[hidden=""]').length).toBe(3);
+    });
+
+    it('expands the toggles to a level', () => {
+      ToggleBlock.expandToLevel(1, 'editorjs');
+
+      expect(rootToggle.data.status).toBe('open');
+      expect(nestedToggle.data.status).toBe('closed');
+      expect(getHolder(nestedToggle).hidden).toBe(false);
+      expect(redactor.lastChild.hidden).toBe(true);
+    });
+
+    it('when the holder does not contain the toggles', () => {
+      ToggleBlock.expandAll(document.createElement('div'));
+
+      expect(rootToggle.data.status).toBe('closed');
+    });
+
+    it('expands and collapses the toggles with the shortcuts', () => {
+      rootToggle.addShortcutsListener();
+      const editorElement = document.querySelector('.codex-editor');
+
+      editorElement.dispatchEvent(new KeyboardEvent('keydown', { code: 'ArrowDown', ctrlKey: true, altKey: true }));
+      expect(nestedToggle.data.status).toBe('open');
+
+      editorElement.dispatchEvent(new KeyboardEvent('keydown', { code: 'Digit1', ctrlKey: true, altKey: true }));
+      expect(rootToggle.data.status).toBe('open');
+      expect(nestedToggle.data.status).toBe('closed');
+
+      editorElement.dispatchEvent(new KeyboardEvent('keydown', { code: 'ArrowUp', metaKey: true, altKey: true }));
+      expect(rootToggle.data.status).toBe('closed');
+    });
+
+    it('saves the new status', () => {
+      ToggleBlock.expandAll();
+
+      expect(nestedToggle.save(nestedToggle.wrapper).status).toBe('open');
+    });
+  });
+
+  describe('validates the reveal of nested blocks', () => {
+    let rootToggle;
+    let nestedToggle;
+    let nestedChild;
+
+    const getHolder = (toggle) => toggle.wrapper.closest('.ce-block');
+
+    beforeEach(() => {
+      rootToggle = new ToggleBlock({ data: { text: 'Root', status: 'closed' }, api: editor });
+      nestedToggle = new ToggleBlock({ data: { text: 'Nested', status: 'closed' }, api: editor });
+
+      redactor.appendChild(createToggleRoot(rootToggle));
+      redactor.appendChild(createToggleRoot(nestedToggle));
+      nestedChild = createNestedBlock(nestedToggle, { text: 'Nested child' });
+      nestedChild.dataset.id = 'nested-child';
+      nestedChild.scrollIntoView = jest.fn();
+      redactor.appendChild(nestedChild);
+      nestHolder(rootToggle, getHolder(nestedToggle));
+      rootToggle.hideAndShowBlocks();
+    });
+
+    it('opens the toggles the block is nested in', async () => {
+      const revealed = await ToggleBlock.revealBlock('nested-child', 'editorjs');
+
+      expect(revealed).toBe(true);
+      expect(rootToggle.data.status).toBe('open');
+      expect(nestedToggle.data.status).toBe('open');
+      expect(redactor.querySelectorAll('div[hidden=""]').length).toBe(0);
+      expect(nestedChild.scrollIntoView).toHaveBeenCalled();
+    });
+
+    it('when the block is not found', async () => {
+      expect(await ToggleBlock.revealBlock('missing', 'editorjs')).toBe(false);
+      expect(rootToggle.data.status).toBe('closed');
+    });
+
+    it('reveals the block of the URL hash', () => {
+      jest.useFakeTimers();
+      window.location.hash = '#nested-child';
+      rootToggle.deepLinks = true;
+      rootToggle.addDeepLinksListener();
+      jest.runOnlyPendingTimers();
+      jest.useRealTimers();
+      window.location.hash = '';
+
+      expect(nestedToggle.data.status).toBe('open');
+      expect(nestedChild.hidden).toBe(false);
+    });
+
+    it('when the URL hash cannot be decoded', () => {
+      jest.useFakeTimers();
+      window.location.hash = '#100%';
+      rootToggle.deepLinks = true;
+      rootToggle.addDeepLinksListener();
+
+      expect(() => jest.runOnlyPendingTimers()).not.toThrow();
+
+      jest.useRealTimers();
+      window.location.hash = '';
+
+      expect(rootToggle.data.status).toBe('closed');
+    });
+
+    it('inserts the lazy children to reveal a block', async () => {
+      const { insert } = editor.blocks;
+      jest.spyOn(editor.blocks, 'insert').mockImplementation((type, blockData, config, index, focus, replace, id) => {
+        insert(type, blockData, config, index);
+        redactor.children[index].dataset.id = id;
+      });
+      jest.useFakeTimers();
+      const lazyToggle = new ToggleBlock({
+        data: {
+          text: 'Lazy',
+          status: 'closed',
+          children: [{ id: 'lazy-child', type: 'paragraph', data: { text: 'Lazy child' } }],
+        },
+        api: editor,
+        config: { saveFormat: 'tree', lazyChildren: true },
+      });
+      redactor.appendChild(createToggleRoot(lazyToggle));
+      jest.clearAllTimers();
+      lazyToggle.renderItems();
+
+      const revealed = ToggleBlock.revealBlock('lazy-child', 'editorjs');
+      jest.runOnlyPendingTimers();
+      jest.useRealTimers();
+
+      expect(await revealed).toBe(true);
+      expect(lazyToggle.data.status).toBe('open');
+      expect(redactor.lastChild.textContent).toBe('Lazy child');
+      expect(redactor.lastChild.hidden).toBe(false);
+      editor.blocks.insert.mockRestore();
+    });
+  });
+
+  describe('validates the keyboard navigation', () => {
+    let rootToggle;
+    let nestedToggle;
+    let setToBlock;
+
+    const getHolder = (toggle) => toggle.wrapper.closest('.ce-block');
+    const keydown = (options) => new KeyboardEvent('keydown', { bubbles: true, ...options });
+    const moveKey = (key) => keydown({
+      key, code: key, altKey: true, shiftKey: true,
+    });
+
+    beforeEach(() => {
+      rootToggle = new ToggleBlock({ data: { text: 'Root', status: 'closed' }, api: editor });
+      nestedToggle = new ToggleBlock({ data: { text: 'Nested', status: 'open' }, api: editor });
+
+      redactor.appendChild(createToggleRoot(rootToggle));
+      redactor.appendChild(createNestedBlock(rootToggle, { text: 'Root child' }));
+      redactor.appendChild(createToggleRoot(nestedToggle));
+      redactor.appendChild(createNestedBlock(nestedToggle, { text: 'Nested child' }));
+      redactor.appendChild(createDefaultBlock({ text: 'Outside block' }));
+      nestHolder(rootToggle, getHolder(nestedToggle));
+      rootToggle.hideAndShowBlocks();
+      rootToggle.getBlocksCount = () => 5;
+      setToBlock = jest.spyOn(editor.caret, 'setToBlock');
+    });
+
+    afterEach(() => {
+      setToBlock.mockRestore();
+    });
+
+    it('skips the hidden blocks when the caret moves down', () => {
+      rootToggle.getCurrentBlockIndex = () => 1;
+      rootToggle.skipHiddenBlocks(0);
+
+      expect(setToBlock).toHaveBeenCalledWith(4, 'start');
+    });
+
+    it('skips the hidden blocks when the caret moves up', () => {
+      rootToggle.getCurrentBlockIndex = () => 3;
+      rootToggle.skipHiddenBlocks(4);
+
+      expect(setToBlock).toHaveBeenCalledWith(0, 'end');
+    });
+
+    it('when the caret moves to a visible block', () => {
+      rootToggle.getCurrentBlockIndex = () => 4;
+      rootToggle.skipHiddenBlocks(3);
+
+      expect(setToBlock).not.toHaveBeenCalled();
+    });
+
+    it('checks the caret after the arrow keys', () => {
+      const skipHiddenBlocks = jest.spyOn(rootToggle, 'skipHiddenBlocks').mockImplementation(() => {});
+      jest.useFakeTimers();
+      rootToggle.addShortcutsListener();
+
+      redactor.dispatchEvent(keydown({ key: 'ArrowDown', code: 'ArrowDown' }));
+      redactor.dispatchEvent(keydown({ key: 'ArrowDown', code: 'ArrowDown', ctrlKey: true }));
+      jest.runOnlyPendingTimers();
+      jest.useRealTimers();
+
+      expect(skipHiddenBlocks).toHaveBeenCalledTimes(1);
+      expect(skipHiddenBlocks).toHaveBeenCalledWith(0);
+    });
+
+    it('opens and closes the toggle from its root', () => {
+      const insert = jest.spyOn(editor.blocks, 'insert');
+      const input = rootToggle.wrapper.children[1];
+
+      input.dispatchEvent(keydown({ key: 'Enter', code: 'Enter', ctrlKey: true }));
+      input.dispatchEvent(new KeyboardEvent('keyup', { key: 'Enter', code: 'Enter' }));
+
+      expect(rootToggle.data.status).toBe('open');
+      expect(redactor.children[1].hidden).toBe(false);
+      expect(insert).not.toHaveBeenCalled();
+
+      input.dispatchEvent(keydown({ key: 'Enter', code: 'Enter', metaKey: true }));
+      expect(rootToggle.data.status).toBe('closed');
+      insert.mockRestore();
+    });
+
+    it('moves the caret from a nested block to its root', () => {
+      nestedToggle.getCurrentBlockIndex = () => 3;
+      nestedToggle.setEventsToNestedBlock(keydown({ key: 'Escape', code: 'Escape' }));
+
+      expect(setToBlock).toHaveBeenCalledWith(2, 'end');
+    });
+
+    it('moves the toggle with its nested blocks', () => {
+      const moveToggle = jest.spyOn(rootToggle, 'moveToggle').mockImplementation(() => {});
+      const input = rootToggle.wrapper.children[1];
+
+      input.dispatchEvent(moveKey('ArrowUp'));
+      expect(moveToggle).not.toHaveBeenCalled();
+
+      input.dispatchEvent(moveKey('ArrowDown'));
+      expect(moveToggle).toHaveBeenCalledWith(0, 0, 0);
+      expect(setToBlock).toHaveBeenCalledWith(0, 'end');
+    });
+
+    it('when the shortcuts are changed through the config', () => {
+      const customToggle = new ToggleBlock({
+        data: { text: 'Custom', status: 'closed' },
+        api: editor,
+        config: { shortcuts: { toggleStatus: 'ALT+KeyT', moveToggleDown: false } },
+      });
+      redactor.appendChild(createToggleRoot(customToggle));
+      const moveToggle = jest.spyOn(customToggle, 'moveToggle');
+
+      customToggle.handleRootShortcuts(keydown({ key: 'Enter', code: 'Enter', ctrlKey: true }));
+      expect(customToggle.data.status).toBe('closed');
+
+      customToggle.handleRootShortcuts(keydown({ key: 't', code: 'KeyT', altKey: true }));
+      expect(customToggle.data.status).toBe('open');
+
+      customToggle.handleRootShortcuts(moveKey('ArrowDown'));
+      expect(moveToggle).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validates the heading toggles', () => {
+    it('renders the toggle root as a heading', () => {
+      const myToggleBlock = new ToggleBlock({ data: { text: 'Heading', level: 2 }, api: editor });
+      const input = myToggleBlock.render().querySelector('.toggle-block__input');
+
+      expect(input.tagName).toBe('H2');
+      expect(input.innerHTML).toBe('Heading');
+    });
+
+    it('when the level is set in the config', () => {
+      const config = { defaultLevel: 1 };
+      const headingToggle = new ToggleBlock({ data: {}, api: editor, config });
+      const plainToggle = new ToggleBlock({ data: { level: 0 }, api: editor, config });
+
+      expect(headingToggle.render().children[1].tagName).toBe('H1');
+      expect(plainToggle.render().children[1].tagName).toBe('DIV');
+    });
+
+    it('switches the level keeping the text', () => {
+      const myToggleBlock = new ToggleBlock({ data: { text: 'Plain <b>text</b>' }, api: editor });
+      myToggleBlock.render();
+      myToggleBlock.setLevel(3);
+
+      const input = myToggleBlock.wrapper.children[1];
+      expect(input.tagName).toBe('H3');
+      expect(input.innerHTML).toBe('Plain <b>text</b>');
+      expect(input).toHaveClass('toggle-block__input');
+      expect(myToggleBlock.save(myToggleBlock.wrapper).level).toBe(3);
+    });
+
+    it('returns the level tunes', () => {
+      const myToggleBlock = new ToggleBlock({ data: { level: 2 }, api: editor });
+      myToggleBlock.render();
+      const tunes = myToggleBlock.renderSettings().slice(0, 4);
+
+      expect(tunes.map(({ label }) => label)).toEqual(['Text', 'Heading 1', 'Heading 2', 'Heading 3']);
+      expect(tunes.map(({ isActive }) => isActive)).toEqual([false, false, true, false]);
+
+      tunes[0].onActivate();
+      expect(myToggleBlock.data.level).toBe(0);
+      expect(myToggleBlock.wrapper.children[1].tagName).toBe('DIV');
+    });
+
+    it('creates a heading toggle with the shortcut', () => {
+      const insert = jest.spyOn(editor.blocks, 'insert').mockImplementation(() => {});
+      const deleteBlock = jest.spyOn(editor.blocks, 'delete').mockImplementation(() => {});
+      const block = createDefaultBlock({ text: '>##\u00a0' });
+
+      toggleBlock.createToggleWithShortcut(block.firstChild.firstChild);
+
+      expect(insert).toHaveBeenCalledWith('toggle', { text: '', level: 2 }, editor, 0, true);
+
+      insert.mockRestore();
+      deleteBlock.mockRestore();
+    });
+  });
+
+  describe('validates the accessibility', () => {
+    let icon;
+
+    beforeEach(() => {
+      generateFullToggle(toggleBlock, data).forEach((block) => redactor.appendChild(block));
+      toggleBlock.renderItems();
+      icon = toggleBlock.wrapper.firstChild;
+    });
+
+    it('exposes the icon as a disclosure button', () => {
+      const { id } = toggleBlock.wrapper;
+
+      expect(icon).toHaveAttribute('role', 'button');
+      expect(icon).toHaveAttribute('tabindex', '0');
+      expect(icon).toHaveAttribute('aria-expanded', 'false');
+      expect(icon).toHaveAttribute('aria-labelledby', `${id}-text`);
+      expect(toggleBlock.wrapper.children[1]).toHaveAttribute('id', `${id}-text`);
+    });
+
+    it('labels the children as regions controlled by the icon', () => {
+      const { id } = toggleBlock.wrapper;
+      const children = Array.from(redactor.querySelectorAll(`div[foreignKey="${id}"]`));
+
+      children.forEach((child) => {
+        expect(child).toHaveAttribute('role', 'region');
+        expect(child).toHaveAttribute('aria-labelledby', `${id}-text`);
+      });
+      expect(icon.getAttribute('aria-controls')).toBe(children.map((child) => child.id).join(' '));
+    });
+
+    it('keeps aria-expanded in sync with the status', () => {
+      toggleBlock.resolveToggleAction();
+      expect(icon).toHaveAttribute('aria-expanded', 'true');
+
+      toggleBlock.resolveToggleAction();
+      expect(icon).toHaveAttribute('aria-expanded', 'false');
+    });
+
+    it('opens and closes the toggle with the keyboard', () => {
+      icon.dispatchEvent(new KeyboardEvent('keydown', { code: 'Enter' }));
+      expect(toggleBlock.data.status).toBe('open');
+
+      icon.dispatchEvent(new KeyboardEvent('keydown', { code: 'Space' }));
+      expect(toggleBlock.data.status).toBe('closed');
+
+      icon.dispatchEvent(new KeyboardEvent('keydown', { code: 'KeyA' }));
+      expect(toggleBlock.data.status).toBe('closed');
+    });
+
+    it('opens the toggle with the keyboard in read-only mode', () => {
+      const readOnlyToggle = new ToggleBlock({ data: { status: 'closed' }, api: editor, readOnly: true });
+      redactor.appendChild(createToggleRoot(readOnlyToggle));
+      readOnlyToggle.renderItems();
+
+      readOnlyToggle.wrapper.firstChild.dispatchEvent(new KeyboardEvent('keydown', { code: 'Enter' }));
+      expect(readOnlyToggle.data.status).toBe('open');
+    });
+
+    it('removes the region attributes when the children are unwrapped', () => {
+      redactor.firstChild.remove();
+      toggleBlock.removed();
+
+      expect(redactor.querySelectorAll('[role="region"]').length).toBe(0);
+    });
+  });
+
+  describe('validates the block tunes', () => {
+    let rootToggle;
+    let nestedToggle;
+
+    const getHolder = (toggle) => toggle.wrapper.closest('.ce-block');
+
+    beforeEach(() => {
+      rootToggle = new ToggleBlock({ data: { text: 'Root', status: 'open' }, api: editor });
+      nestedToggle = new ToggleBlock({ data: { text: 'Nested', status: 'open' }, api: editor });
+
+      redactor.appendChild(createToggleRoot(rootToggle));
+      redactor.appendChild(createNestedBlock(rootToggle, { text: 'Root child' }));
+      redactor.appendChild(createToggleRoot(nestedToggle));
+      redactor.appendChild(createNestedBlock(nestedToggle, { text: 'Nested child' }));
+      redactor.appendChild(createDefaultBlock({ text: 'Outside block' }));
+      nestHolder(rootToggle, getHolder(nestedToggle));
+    });
+
+    it('returns the toggle tunes after the level tunes', () => {
+      const tunes = rootToggle.renderSettings();
+
+      expect(tunes.slice(4).map(({ label }) => label)).toEqual([
+        'Open by default',
+        'Accordion',
+        'Collapse all nested toggles',
+        'Duplicate toggle with contents',
+        'Select toggle with contents',
+        'Delete toggle with contents',
+      ]);
+      expect(tunes[4].isActive).toBe(true);
+    });
+
+    it('opens the toggle by default', () => {
+      const [openByDefault] = rootToggle.getToggleTunes();
+
+      openByDefault.onActivate();
+      expect(rootToggle.save(rootToggle.wrapper).status).toBe('closed');
+      expect(redactor.querySelectorAll('div[hidden=""]').length).toBe(3);
+
+      openByDefault.onActivate();
+      expect(rootToggle.save(rootToggle.wrapper).status).toBe('open');
+    });
+
+    it('returns the blocks nested at any level', () => {
+      const [, ...descendants] = Array.from(redactor.children).slice(0, 4);
+
+      expect(rootToggle.getDescendantHolders()).toEqual(descendants);
+    });
+
+    it('collapses the nested toggles', () => {
+      rootToggle.collapseNestedToggles();
+
+      expect(rootToggle.data.status).toBe('open');
+      expect(nestedToggle.data.status).toBe('closed');
+      expect(getHolder(nestedToggle).hidden).toBe(false);
+      expect(redactor.children[3].hidden).toBe(true);
+    });
+
+    it('duplicates the toggle with its nested blocks', async () => {
+      const toggleData = (text, fk, items) => ({
+        text, status: 'open', fk, items,
+      });
+      const savedBlocks = [
+        { tool: 'toggle', data: toggleData('Root', 'fk-root', 2) },
+        { tool: 'paragraph', data: { text: 'Root child' } },
+        { tool: 'toggle', data: toggleData('Nested', 'fk-nested', 1) },
+        { tool: 'paragraph', data: { text: 'Nested child' } },
+      ];
+      const insert = jest.spyOn(editor.blocks, 'insert').mockImplementation(() => {});
+      rootToggle.getBlockByIndex = (index) => ({ save: () => Promise.resolve(savedBlocks[index]) });
+
+      await rootToggle.duplicateWithContents();
+
+      expect(insert).toHaveBeenCalledWith('toggle', {
+        text: 'Root',
+        status: 'open',
+        children: [
+          { type: 'paragraph', data: { text: 'Root child' } },
+          {
+            type: 'toggle',
+            data: {
+              text: 'Nested',
+              status: 'open',
+              children: [{ type: 'paragraph', data: { text: 'Nested child' } }],
+            },
+          },
+        ],
+      }, {}, 4, false);
+
+      insert.mockRestore();
+    });
+
+    it('selects the toggle with its nested blocks', () => {
+      rootToggle.selectWithContents();
+
+      const selected = Array.from(redactor.children).map((holder) => holder.classList.contains('ce-block--selected'));
+      expect(selected).toEqual([true, true, true, true, false]);
+    });
+
+    it('deletes the toggle with its nested blocks', () => {
+      const deleteTune = rootToggle.getToggleTunes().pop();
+
+      deleteTune.confirmation.onActivate();
+
+      expect(redactor.children.length).toBe(1);
+      expect(redactor.firstChild.textContent).toBe('Outside block');
+    });
+
+    it('keeps the nested blocks when the toggle root is removed', () => {
+      getHolder(rootToggle).remove();
+      rootToggle.removed();
+
+      expect(redactor.children.length).toBe(4);
+      expect(getHolder(nestedToggle).hasAttribute('foreignKey')).toBe(false);
+      expect(redactor.children[2].getAttribute('foreignKey')).toBe(nestedToggle.wrapper.id);
+    });
+
+    it('moves the nested blocks when the toggle root is moved', () => {
+      const moveToggle = jest.spyOn(rootToggle, 'moveToggle').mockImplementation(() => {});
+      jest.useFakeTimers();
+
+      rootToggle.moved({ detail: { fromIndex: 0, toIndex: 1 } });
+      rootToggle.ignoreMoves(() => rootToggle.moved({ detail: { fromIndex: 1, toIndex: 0 } }));
+      jest.runOnlyPendingTimers();
+      jest.useRealTimers();
+
+      expect(moveToggle).toHaveBeenCalledTimes(1);
+      expect(moveToggle).toHaveBeenCalledWith(0, 0, 1);
+    });
+  });
+
+  describe('validates the viewer state', () => {
+    let statuses;
+    let viewerState;
+
+    const renderToggle = (status, readOnly = false) => {
+      const myToggleBlock = new ToggleBlock({
+        data: { text: 'Toggle', status, fk: 'fk-viewer' },
+        api: editor,
+        readOnly,
+        config: { viewerState },
+      });
+      redactor.appendChild(createToggleRoot(myToggleBlock));
+      redactor.appendChild(createNestedBlock(myToggleBlock, { text: 'Child' }));
+      myToggleBlock.renderItems();
+
+      return myToggleBlock;
+    };
+
+    beforeEach(() => {
+      statuses = {};
+      viewerState = {
+        get: (fk) => statuses[fk],
+        set: (fk, status) => { statuses[fk] = status; },
+      };
+    });
+
+    it('stores the status set by the viewer without saving it', () => {
+      const myToggleBlock = renderToggle('closed', true);
+
+      myToggleBlock.wrapper.firstChild.click();
+
+      expect(statuses['fk-viewer']).toBe('open');
+      expect(myToggleBlock.data.status).toBe('open');
+      expect(myToggleBlock.save(myToggleBlock.wrapper).status).toBe('closed');
+    });
+
+    it('shows the status stored by the viewer', () => {
+      statuses['fk-viewer'] = 'open';
+      const myToggleBlock = renderToggle('closed');
+
+      expect(myToggleBlock.data.status).toBe('open');
+      expect(redactor.lastChild.hidden).toBe(false);
+      expect(myToggleBlock.save(myToggleBlock.wrapper).status).toBe('closed');
+    });
+
+    it('shows the status returned by an async storage', async () => {
+      const stored = Promise.resolve('closed');
+      viewerState.get = () => stored;
+      const myToggleBlock = renderToggle('open');
+
+      await stored;
+
+      expect(myToggleBlock.data.status).toBe('closed');
+      expect(redactor.lastChild.hidden).toBe(true);
+    });
+
+    it('saves the status set through the open by default tune', () => {
+      const myToggleBlock = renderToggle('closed');
+      const [openByDefault] = myToggleBlock.getToggleTunes();
+
+      openByDefault.onActivate();
+
+      expect(myToggleBlock.save(myToggleBlock.wrapper).status).toBe('open');
+    });
+  });
+
+  describe('validates multiple editors on the same page', () => {
+    let secondRedactor;
+    let secondToggle;
+
+    beforeEach(() => {
+      generateFullToggle(toggleBlock, data).forEach((block) => redactor.appendChild(block));
+
+      secondRedactor = document.createElement('div');
+      secondRedactor.classList.add('codex-editor__redactor');
+      const secondEditor = document.createElement('div');
+      secondEditor.classList.add('codex-editor');
+      secondEditor.appendChild(secondRedactor);
+      document.body.appendChild(secondEditor);
+
+      // Both editors render the same document
+      secondToggle = new ToggleBlock({
+        data: { ...data[0].data, fk: toggleBlock.wrapper.id },
+        api: { ...editor, ui: { nodes: { wrapper: secondEditor, redactor: secondRedactor } } },
+      });
+      secondRedactor.appendChild(createToggleRoot(secondToggle));
+      secondRedactor.appendChild(createNestedBlock(secondToggle, { text: 'Second editor child' }));
+    });
+
+    it('finds the children in the editor of the toggle', () => {
+      expect(toggleBlock.getChildHolders().length).toBe(3);
+      expect(secondToggle.getChildHolders().length).toBe(1);
+      expect(secondToggle.getDepth()).toBe(0);
+    });
+
+    it('shows the children of the editor of the toggle', () => {
+      secondToggle.resolveToggleAction();
+      secondToggle.hideAndShowBlocks();
+
+      expect(secondRedactor.lastChild.hidden).toBe(false);
+      expect(redactor.querySelectorAll('div[hidden=""]').length).toBe(3);
+    });
+  });
+
+  describe('validates the interaction events', () => {
+    let callbacks;
+    let myToggleBlock;
+    let events;
+
+    beforeEach(() => {
+      callbacks = {
+        onToggle: jest.fn(),
+        onChildAdded: jest.fn(),
+        onChildRemoved: jest.fn(),
+        onToggleRemoved: jest.fn(),
+      };
+      events = [];
+      ['toggle', 'child-added', 'child-removed', 'toggle-removed'].forEach((name) => {
+        redactor.addEventListener(`toggle-block:${name}`, ({ type, detail }) => events.push({ type, detail }));
+      });
+
+      myToggleBlock = new ToggleBlock({
+        data: { text: 'Toggle', status: 'closed', fk: 'fk-events' },
+        api: editor,
+        config: callbacks,
+      });
+      redactor.appendChild(createToggleRoot(myToggleBlock));
+      redactor.appendChild(createDefaultBlock({ text: 'First child' }));
+      redactor.appendChild(createDefaultBlock({ text: 'Second child' }));
+    });
+
+    it('calls onToggle when the status changes', () => {
+      myToggleBlock.setStatus('closed');
+      myToggleBlock.setStatus('open');
+
+      const detail = { fk: 'fk-events', status: 'open', blockIds: [] };
+      expect(callbacks.onToggle).toHaveBeenCalledTimes(1);
+      expect(callbacks.onToggle).toHaveBeenCalledWith(detail);
+      expect(events).toEqual([{ type: 'toggle-block:toggle', detail }]);
+    });
+
+    it('calls onChildAdded when a block is nested', () => {
+      myToggleBlock.setAttributesToNewBlock(1);
+      myToggleBlock.setAttributesToNewBlock(1);
+
+      const detail = { fk: 'fk-events', blockId: '121id' };
+      expect(callbacks.onChildAdded).toHaveBeenCalledTimes(1);
+      expect(callbacks.onChildAdded).toHaveBeenCalledWith(detail);
+      expect(events).toEqual([{ type: 'toggle-block:child-added', detail }]);
+    });
+
+    it('calls onChildRemoved when a block is extracted', () => {
+      myToggleBlock.setAttributesToNewBlock(1);
+      myToggleBlock.removeAttributesFromNewBlock(1);
+
+      expect(callbacks.onChildRemoved).toHaveBeenCalledWith({ fk: 'fk-events', blockId: '121id' });
+      expect(events[1].type).toBe('toggle-block:child-removed');
+    });
+
+    it('calls onToggleRemoved with the unwrapped children', () => {
+      redactor.children[1].dataset.id = 'first-id';
+      redactor.children[2].dataset.id = 'second-id';
+      myToggleBlock.setAttributesToNewBlock(1);
+      myToggleBlock.setAttributesToNewBlock(2);
+      redactor.firstChild.remove();
+      myToggleBlock.removed();
+
+      const detail = { fk: 'fk-events', blockIds: ['first-id', 'second-id'] };
+      expect(callbacks.onToggleRemoved).toHaveBeenCalledWith(detail);
+      expect(events.pop()).toEqual({ type: 'toggle-block:toggle-removed', detail });
+    });
+  });
+
+  describe('validates the animations', () => {
+    let myToggleBlock;
+    let child;
+    let animation;
+
+    const renderToggle = (config) => {
+      myToggleBlock = new ToggleBlock({ data: { status: 'open' }, api: editor, config });
+      redactor.appendChild(createToggleRoot(myToggleBlock));
+      child = createNestedBlock(myToggleBlock, { text: 'Child' });
+      redactor.appendChild(child);
+
+      animation = {};
+      child.animate = jest.fn(() => animation);
+    };
+
+    afterEach(() => {
+      delete window.matchMedia;
+    });
+
+    it('hides the block when the animation ends', () => {
+      renderToggle({ animationDuration: 300 });
+      myToggleBlock.setStatus('closed');
+      myToggleBlock.hideAndShowBlocks(myToggleBlock.wrapper.id, 'closed', true);
+
+      const [keyframes, options] = child.animate.mock.calls[0];
+      expect(keyframes[0].opacity).toBe(1);
+      expect(keyframes[1]).toEqual({ height: '0px', opacity: 0 });
+      expect(options.duration).toBe(300);
+      expect(child.hidden).toBe(false);
+
+      animation.onfinish();
+      expect(child.hidden).toBe(true);
+    });
+
+    it('cancels the running animation when the toggle is clicked again', () => {
+      renderToggle();
+      animation.cancel = jest.fn();
+      myToggleBlock.hideAndShowBlocks(myToggleBlock.wrapper.id, 'closed', true);
+      myToggleBlock.hideAndShowBlocks(myToggleBlock.wrapper.id, 'open', true);
+
+      expect(animation.cancel).toHaveBeenCalled();
+      expect(child.animate.mock.calls[1][0][1].opacity).toBe(1);
+    });
+
+    it('when the blocks are not hidden by the user', () => {
+      renderToggle();
+      myToggleBlock.hideAndShowBlocks(myToggleBlock.wrapper.id, 'closed');
+
+      expect(child.animate).not.toHaveBeenCalled();
+      expect(child.hidden).toBe(true);
+    });
+
+    it('when the user prefers reduced motion', () => {
+      window.matchMedia = jest.fn(() => ({ matches: true }));
+      renderToggle();
+      myToggleBlock.hideAndShowBlocks(myToggleBlock.wrapper.id, 'closed', true);
+
+      expect(window.matchMedia).toHaveBeenCalledWith('(prefers-reduced-motion: reduce)');
+      expect(child.animate).not.toHaveBeenCalled();
+      expect(child.hidden).toBe(true);
+    });
+
+    it('when the animations are disabled', () => {
+      renderToggle({ animationDuration: 0 });
+      myToggleBlock.hideAndShowBlocks(myToggleBlock.wrapper.id, 'closed', true);
+
+      expect(child.animate).not.toHaveBeenCalled();
+      expect(child.hidden).toBe(true);
+    });
+  });
 });
@@ -0,0 +1,131 @@
+import ToggleTreeIndex from '../src/toggleTreeIndex';
+
+describe('ToggleTreeIndex', () => {
+  let redactor;
+  let index;
+
+  const createHolder = (toggleId) => {
+    const holder = document.createElement('div');
+    holder.classList.add('ce-block');
+
+    if (toggleId) {
+      const wrapper = document.createElement('div');
+      wrapper.classList.add('toggle-block__selector');
+      wrapper.id = toggleId;
+      holder.appendChild(wrapper);
+      index.addToggle(toggleId, wrapper);
+    }
+
+    redactor.appendChild(holder);
+    return holder;
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    redactor = document.createElement('div');
+    document.body.appendChild(redactor);
+    index = ToggleTreeIndex.of(redactor);
+  });
+
+  it('returns the same index for the same editor', () => {
+    expect(ToggleTreeIndex.of(redactor)).toBe(index);
+    expect(ToggleTreeIndex.of(document.createElement('div'))).not.toBe(index);
+  });
+
+  it('returns the children in the document order', () => {
+    createHolder('fk-root');
+    const first = createHolder();
+    const second = createHolder();
+    index.setParent(second, 'fk-root');
+    index.setParent(first, 'fk-root');
+
+    expect(index.getChildren('fk-root')).toEqual([first, second]);
+
+    redactor.insertBefore(second, first);
+    expect(index.getChildren('fk-root')).toEqual([second, first]);
+  });
+
+  it('moves a child to another toggle and extracts it', () => {
+    createHolder('fk-first');
+    createHolder('fk-second');
+    const child = createHolder();
+
+    index.setParent(child, 'fk-first');
+    index.setParent(child, 'fk-second');
+    expect(index.getChildren('fk-first')).toEqual([]);
+    expect(index.getParent(child)).toBe('fk-second');
+
+    index.removeChild(child);
+    expect(index.getChildren('fk-second')).toEqual([]);
+    expect(index.getParent(child)).toBeNull();
+  });
+
+  it('drops the children removed from the document', () => {
+    createHolder('fk-root');
+    const child = createHolder();
+    index.setParent(child, 'fk-root');
+
+    child.remove();
+
+    expect(index.getChildren('fk-root')).toEqual([]);
+    expect(index.getParent(child)).toBeNull();
+  });
+
+  it('returns the depth of the blocks', () => {
+    const root = createHolder('fk-root');
+    const nested = createHolder('fk-nested');
+    const child = createHolder();
+    index.setParent(nested, 'fk-root');
+    index.setParent(child, 'fk-nested');
+
+    expect(index.getDepth(root)).toBe(0);
+    expect(index.getDepth(nested)).toBe(1);
+    expect(index.getDepth(child)).toBe(2);
+  });
+
+  it('stops on circular nestings', () => {
+    const first = createHolder('fk-first');
+    const second = createHolder('fk-second');
+    index.setParent(first, 'fk-second');
+    index.setParent(second, 'fk-first');
+
+    expect(index.getDepth(first)).toBe(2);
+  });
+
+  it('removes a toggle only with its own element', () => {
+    createHolder('fk-root');
+    const wrapper = index.getToggle('fk-root');
+
+    index.removeToggle('fk-root', document.createElement('div'));
+    expect(index.getToggle('fk-root')).toBe(wrapper);
+
+    index.removeToggle('fk-root', wrapper);
+    expect(index.getToggle('fk-root')).toBeNull();
+  });
+
+  it('returns the tool instances of the toggles by their id', () => {
+    createHolder();
+    const wrapper = document.createElement('div');
+    const block = { wrapper };
+    redactor.firstChild.appendChild(wrapper);
+    index.addToggle('fk-root', wrapper, block);
+
+    expect(index.getToggleBlock('fk-root')).toBe(block);
+    expect(index.getToggleBlocks()).toEqual([block]);
+
+    wrapper.remove();
+    expect(index.getToggleBlock('fk-root')).toBeUndefined();
+    expect(index.getToggleBlocks()).toEqual([]);
+  });
+
+  it('forgets the editors removed from the document', () => {
+    const removedRedactor = document.createElement('div');
+    document.body.appendChild(removedRedactor);
+    const removedIndex = ToggleTreeIndex.of(removedRedactor);
+
+    expect(ToggleTreeIndex.getAll()).toContain(removedIndex);
+
+    removedRedactor.remove();
+    expect(ToggleTreeIndex.getAll()).toEqual([index]);
+  });
+});
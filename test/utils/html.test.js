@@ -0,0 +1,66 @@
+/**
+ * @jest-environment node
+ */
+import toHTML from '../../src/utils/html';
+
+describe('toHTML', () => {
+  const blocks = [
+    { type: 'header', data: { text: 'Title', level: 1 } },
+    {
+      type: 'toggle',
+      data: {
+        text: 'Root <b>toggle</b>', status: 'open', fk: 'fk-1', items: 2,
+      },
+    },
+    {
+      type: 'toggle',
+      data: {
+        text: 'Nested toggle', status: 'closed', fk: 'fk-2', items: 1,
+      },
+    },
+    { type: 'paragraph', data: { text: 'Nested paragraph' } },
+    { type: 'paragraph', data: { text: 'Root paragraph' } },
+    { type: 'delimiter', data: {} },
+  ];
+
+  it('renders the toggles as details elements', () => {
+    expect(toHTML({ blocks })).toBe(
+      '<h1>Title</h1>'
+      + '<details open><summary>Root <b>toggle</b></summary>'
+      + '<details><summary>Nested toggle</summary><p>Nested paragraph</p></details>'
+      + '<p>Root paragraph</p>'
+      + '</details>',
+    );
+  });
+
+  it('renders the other blocks with the given renderer', () => {
+    const renderBlock = ({ type, data }) => (type === 'delimiter' ? '<hr>' : `<div>${data.text}</div>`);
+    const html = toHTML({ blocks: blocks.slice(2) }, { renderBlock });
+
+    expect(html).toBe('<details><summary>Nested toggle</summary><div>Nested paragraph</div></details><div>Root paragraph</div><hr>');
+  });
+
+  it('names the details of the accordion groups', () => {
+    const faq = [
+      { type: 'toggle', data: { text: 'Q1', status: 'open', items: 0 } },
+      { type: 'toggle', data: { text: 'Q2', status: 'closed', items: 0 } },
+      { type: 'paragraph', data: { text: 'Break' } },
+      {
+        type: 'toggle',
+        data: {
+          text: 'Q3', status: 'closed', items: 0, accordion: false,
+        },
+      },
+    ];
+
+    expect(toHTML({ blocks: faq }, { accordion: true })).toBe(
+      '<details name="accordion-1" open><summary>Q1</summary></details>'
+      + '<details name="accordion-1"><summary>Q2</summary></details>'
+      + '<p>Break</p><details><summary>Q3</summary></details>',
+    );
+  });
+
+  it('when the document is empty', () => {
+    expect(toHTML({ blocks: [] })).toBe('');
+  });
+});
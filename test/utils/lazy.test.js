@@ -0,0 +1,68 @@
+/**
+ * @jest-environment node
+ */
+import removeCollapsedChildren from '../../src/utils/lazy';
+import toHTML from '../../src/utils/html';
+import { toMarkdown } from '../../src/utils/markdown';
+import normalize from '../../src/utils/normalize';
+
+describe('removeCollapsedChildren', () => {
+  const paragraph = (id) => ({ id, type: 'paragraph', data: { text: id } });
+  const toggle = (id, status, children) => ({
+    id,
+    type: 'toggle',
+    data: {
+      text: id, status, fk: `fk-${id}`, items: children.length, children,
+    },
+  });
+
+  it('removes the blocks nested in the closed toggles', () => {
+    const nested = toggle('nested', 'open', [paragraph('b')]);
+    const outputData = {
+      time: 1,
+      blocks: [
+        toggle('root', 'closed', [paragraph('a'), nested]), paragraph('a'), nested, paragraph('b'),
+        paragraph('outside'),
+      ],
+    };
+    const { time, blocks } = removeCollapsedChildren(outputData);
+
+    expect(time).toBe(1);
+    expect(blocks.map(({ id }) => id)).toEqual(['root', 'outside']);
+    expect(outputData.blocks.length).toBe(5);
+  });
+
+  it('keeps the blocks nested in the open toggles', () => {
+    const nested = toggle('nested', 'closed', [paragraph('b')]);
+    const outputData = {
+      blocks: [toggle('root', 'open', [paragraph('a'), nested]), paragraph('a'), nested, paragraph('b')],
+    };
+
+    expect(removeCollapsedChildren(outputData).blocks.map(({ id }) => id))
+      .toEqual(['root', 'a', 'nested']);
+  });
+
+  it('when the closed toggles are not saved with the tree format', () => {
+    const outputData = {
+      blocks: [
+        { type: 'toggle', data: { status: 'closed', items: 1, children: ['a'] } }, paragraph('a'),
+      ],
+    };
+
+    expect(removeCollapsedChildren(outputData).blocks.length).toBe(2);
+  });
+
+  it('exports the documents stored in lazy mode', () => {
+    const outputData = {
+      blocks: [
+        toggle('Q', 'closed', [paragraph('A1'), paragraph('A2')]), paragraph('A1'), paragraph('A2'),
+        paragraph('Unrelated 1'), paragraph('Unrelated 2'),
+      ],
+    };
+    const stored = removeCollapsedChildren(outputData);
+
+    expect(toHTML(stored)).toBe('<details><summary>Q</summary><p>A1</p><p>A2</p></details><p>Unrelated 1</p><p>Unrelated 2</p>');
+    expect(toMarkdown(stored)).toBe(toMarkdown(outputData));
+    expect(normalize(stored).fixes).toEqual([]);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * @jest-environment node
+ */
+import {
+  toMarkdown, fromMarkdown, htmlToMarkdown, markdownToHtml,
+} from '../../src/utils/markdown';
+
+describe('Markdown', () => {
+  const blocks = [
+    { type: 'header', data: { text: 'Title', level: 2 } },
+    {
+      type: 'toggle',
+      data: {
+        text: 'Root toggle', status: 'open', fk: 'fk-1', items: 2,
+      },
+    },
+    {
+      type: 'toggle',
+      data: {
+        text: 'Nested toggle', status: 'closed', fk: 'fk-2', items: 1,
+      },
+    },
+    { type: 'paragraph', data: { text: 'Nested <b>paragraph</b>' } },
+    { type: 'paragraph', data: { text: 'Root <a href="https://editorjs.io">paragraph</a>' } },
+    { type: 'paragraph', data: { text: 'Outside paragraph' } },
+  ];
+
+  const markdown = [
+    '## Title',
+    '<details open>\n<summary>Root toggle</summary>',
+    '<details>\n<summary>Nested toggle</summary>',
+    'Nested **paragraph**',
+    '</details>',
+    'Root [paragraph](https://editorjs.io)',
+    '</details>',
+    'Outside paragraph',
+  ].join('\n\n');
+
+  describe('toMarkdown', () => {
+    it('writes the toggles as details elements', () => {
+      expect(toMarkdown({ blocks })).toBe(markdown);
+    });
+
+    it('renders the other blocks with the given renderer', () => {
+      const renderBlock = ({ data }) => `> ${data.text}`;
+      const output = toMarkdown({ blocks: blocks.slice(5) }, { renderBlock });
+
+      expect(output).toBe('> Outside paragraph');
+    });
+  });
+
+  describe('fromMarkdown', () => {
+    it('rebuilds the nested toggles', () => {
+      const { blocks: parsedBlocks } = fromMarkdown(markdown);
+
+      expect(parsedBlocks.map(({ type, data }) => [type, data.text, data.items])).toEqual([
+        ['header', 'Title', undefined],
+        ['toggle', 'Root toggle', 2],
+        ['toggle', 'Nested toggle', 1],
+        ['paragraph', 'Nested <b>paragraph</b>', undefined],
+        ['paragraph', 'Root <a href="https://editorjs.io">paragraph</a>', undefined],
+        ['paragraph', 'Outside paragraph', undefined],
+      ]);
+      expect(parsedBlocks[1].data.status).toBe('open');
+      expect(parsedBlocks[2].data.status).toBe('closed');
+      expect(parsedBlocks[1].data.fk).not.toEqual(parsedBlocks[2].data.fk);
+    });
+
+    it('keeps the accordion mode of the named details', () => {
+      const accordion = [{ type: 'toggle', data: { text: 'Question', status: 'open', items: 0 } }];
+      const written = toMarkdown({ blocks: accordion }, { accordion: true });
+      const { blocks: parsedBlocks } = fromMarkdown(written);
+
+      expect(written).toBe('<details name="accordion-1" open>\n<summary>Question</summary>\n\n</details>');
+      expect(parsedBlocks[0].data).toMatchObject({ status: 'open', accordion: true });
+    });
+
+    it('keeps the consecutive lines in one paragraph', () => {
+      const { blocks: parsedBlocks } = fromMarkdown('First line\nsecond line  \nthird line');
+
+      expect(parsedBlocks).toEqual([
+        { type: 'paragraph', data: { text: 'First line second line<br>third line' } },
+      ]);
+    });
+
+    it('closes the toggles left open at the end', () => {
+      const { blocks: parsedBlocks } = fromMarkdown('<details>\n<summary>Toggle</summary>\n\nChild');
+
+      expect(parsedBlocks[0].data.items).toBe(1);
+      expect(parsedBlocks[1].data.text).toBe('Child');
+    });
+  });
+
+  describe('round trip of the paragraph text', () => {
+    const roundTrip = (text) => {
+      const written = toMarkdown({ blocks: [{ type: 'paragraph', data: { text } }] });
+      return { written, text: fromMarkdown(written).blocks[0] };
+    };
+
+    it('keeps the escaped HTML as text', () => {
+      const { written, text } = roundTrip('&lt;img src=x onerror=alert(1)&gt; &amp; more');
+
+      expect(written).toBe('&lt;img src=x onerror=alert(1)&gt; &amp; more');
+      expect(text).toEqual({ type: 'paragraph', data: { text: '&lt;img src=x onerror=alert(1)&gt; &amp; more' } });
+    });
+
+    it('escapes the Markdown characters of the text', () => {
+      const { written, text } = roundTrip('a * b * c, snake_case, `tick` and [brackets]');
+
+      expect(written).toBe('a \\* b \\* c, snake\\_case, \\`tick\\` and \\[brackets\\]');
+      expect(text.data.text).toBe('a * b * c, snake_case, `tick` and [brackets]');
+    });
+
+    it('escapes the lines starting like a header, a quote or a toggle', () => {
+      ['# not a header', '&gt; not a quote', '&lt;details&gt;'].forEach((paragraph) => {
+        expect(roundTrip(paragraph).text).toEqual({ type: 'paragraph', data: { text: paragraph } });
+      });
+      expect(roundTrip('# not a header').written).toBe('\\# not a header');
+      expect(roundTrip('> not a quote').written).toBe('\\> not a quote');
+    });
+  });
+
+  describe('round trip of the toggle text', () => {
+    const roundTrip = (text) => {
+      const written = toMarkdown({ blocks: [{ type: 'toggle', data: { text, status: 'open', items: 0 } }] });
+      return { written, text: fromMarkdown(written).blocks[0].data.text };
+    };
+
+    it('converts the summary like the paragraphs', () => {
+      const { written, text } = roundTrip('<b>Bold</b> &amp; snake_case');
+
+      expect(written).toBe('<details open>\n<summary>**Bold** &amp; snake\\_case</summary>\n\n</details>');
+      expect(text).toBe('<b>Bold</b> &amp; snake_case');
+    });
+
+    it('keeps the raw HTML of the summary as text', () => {
+      const { blocks: parsedBlocks } = fromMarkdown('<details>\n<summary><img src=x onerror=alert(1)></summary>\n</details>');
+
+      expect(parsedBlocks[0].data.text).toBe('&lt;img src=x onerror=alert(1)&gt;');
+    });
+  });
+
+  describe('inline conversion', () => {
+    it('converts the inline HTML to Markdown', () => {
+      expect(htmlToMarkdown('<i>a</i> &lt; <code class="inline-code">b</code><br><u>c</u>')).toBe('*a* &lt; `b`  \nc');
+    });
+
+    it('escapes the raw HTML of the Markdown', () => {
+      expect(markdownToHtml('<img src=x onerror=alert(1)> *a*')).toBe('&lt;img src=x onerror=alert(1)&gt; <i>a</i>');
+    });
+  });
+});
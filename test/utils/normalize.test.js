@@ -0,0 +1,109 @@
+/**
+ * @jest-environment node
+ */
+import normalize, { validate } from '../../src/utils/normalize';
+
+describe('normalize', () => {
+  const paragraph = (id, text) => ({ id, type: 'paragraph', data: { text } });
+  const toggle = (id, data) => ({
+    id, type: 'toggle', data: { text: id, status: 'open', ...data },
+  });
+  const getTypes = (fixes) => fixes.map(({ type }) => type);
+
+  it('when the document is consistent', () => {
+    const outputData = {
+      time: 1,
+      blocks: [
+        toggle('root', { fk: 'fk-root', items: 2 }),
+        paragraph('a', 'First'),
+        toggle('nested', { fk: 'fk-nested', items: 1 }),
+        paragraph('b', 'Nested child'),
+      ],
+    };
+    const { data, fixes } = normalize(outputData);
+
+    expect(fixes).toEqual([]);
+    expect(data).toEqual(outputData);
+    expect(data).not.toBe(outputData);
+  });
+
+  it('when the items run past the end of the document', () => {
+    const outputData = { blocks: [toggle('root', { fk: 'fk-root', items: 3 }), paragraph('a', 'Only child')] };
+    const { data, fixes } = normalize(outputData);
+
+    expect(data.blocks[0].data.items).toBe(1);
+    expect(fixes).toEqual([{
+      type: 'items-past-end', index: 0, fk: 'fk-root', message: expect.any(String),
+    }]);
+    expect(outputData.blocks[0].data.items).toBe(3);
+  });
+
+  it('when the toggle ids are duplicated', () => {
+    const { data, fixes } = normalize({
+      blocks: [toggle('first', { fk: 'fk-same', items: 0 }), toggle('second', { fk: 'fk-same', items: 0 })],
+    });
+
+    expect(getTypes(fixes)).toEqual(['duplicate-fk']);
+    expect(fixes[0].index).toBe(1);
+    expect(data.blocks[1].data.fk).not.toBe('fk-same');
+    expect(data.blocks[1].data.fk).toMatch(/^fk-/);
+    expect(fixes[0].fk).toBe(data.blocks[1].data.fk);
+  });
+
+  it('when the items count and the status are invalid', () => {
+    const { data, fixes } = normalize({
+      blocks: [toggle('root', { fk: 'fk-root', items: -2, status: 'expanded' })],
+    });
+
+    expect(getTypes(fixes)).toEqual(['invalid-status', 'invalid-items']);
+    expect(data.blocks[0].data).toMatchObject({ status: 'open', items: 0 });
+  });
+
+  it('removes the missing children of the ids format', () => {
+    const { data, fixes } = normalize({
+      blocks: [
+        toggle('root', { fk: 'fk-root', items: 3, children: ['a', 'deleted', 'b'] }),
+        paragraph('a', 'First'),
+        paragraph('b', 'Second'),
+        paragraph('c', 'Outside'),
+      ],
+    });
+
+    expect(getTypes(fixes)).toEqual(['orphaned-child', 'items-mismatch']);
+    expect(data.blocks[0].data).toMatchObject({ items: 2, children: ['a', 'b'] });
+  });
+
+  it('removes the children nested in another toggle', () => {
+    const { data, fixes } = normalize({
+      blocks: [
+        toggle('first', { fk: 'fk-first', items: 1, children: ['a'] }),
+        paragraph('a', 'First child'),
+        toggle('second', { fk: 'fk-second', items: 1, children: ['a'] }),
+      ],
+    });
+
+    expect(getTypes(fixes)).toEqual(['orphaned-child', 'items-mismatch']);
+    expect(data.blocks[2].data).toMatchObject({ items: 0, children: [] });
+  });
+
+  it('when the children ids do not follow the toggle', () => {
+    const { data, fixes } = normalize({
+      blocks: [
+        toggle('root', { fk: 'fk-root', items: 2, children: ['a', 'b'] }),
+        paragraph('inserted', 'Inserted by a migration'),
+        paragraph('a', 'First'),
+        paragraph('b', 'Second'),
+      ],
+    });
+
+    expect(getTypes(fixes)).toEqual(['broken-nesting']);
+    expect(data.blocks[0].data.children).toEqual(['inserted', 'a']);
+  });
+
+  it('when the toggles have another tool name', () => {
+    const blocks = [{ type: 'details', data: { status: 'open', items: 4 } }];
+
+    expect(getTypes(validate({ blocks }, { toggleType: 'details' }))).toEqual(['items-past-end']);
+    expect(validate({ blocks })).toEqual([]);
+  });
+});
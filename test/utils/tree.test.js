@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+import buildToggleTree, { getAccordionGroups } from '../../src/utils/tree';
+
+describe('buildToggleTree', () => {
+  const paragraph = (text) => ({ type: 'paragraph', data: { text } });
+  const toggle = (text, items) => ({ type: 'toggle', data: { text, status: 'open', items } });
+
+  it('nests the blocks of each toggle', () => {
+    const blocks = [toggle('Root', 2), paragraph('First'), paragraph('Second'), paragraph('Outside')];
+    const tree = buildToggleTree(blocks);
+
+    expect(tree.length).toBe(2);
+    expect(tree[0].children.map(({ block }) => block.data.text)).toEqual(['First', 'Second']);
+    expect(tree[1].block.data.text).toBe('Outside');
+  });
+
+  it('nests the descendants of nested toggles', () => {
+    const blocks = [
+      toggle('Root', 2), toggle('Nested', 1), paragraph('Nested child'), paragraph('Root child'),
+    ];
+    const [root] = buildToggleTree(blocks);
+
+    expect(root.children.length).toBe(2);
+    expect(root.children[0].children[0].block.data.text).toBe('Nested child');
+    expect(root.children[1].block.data.text).toBe('Root child');
+  });
+
+  it('when the items run past the end of the document', () => {
+    const tree = buildToggleTree([toggle('Root', 5), paragraph('Only child')]);
+
+    expect(tree.length).toBe(1);
+    expect(tree[0].children.length).toBe(1);
+  });
+
+  it('reads the embedded children missing from the document', () => {
+    const embedded = { type: 'toggle', data: { items: 1, children: [{ id: 'a', ...paragraph('Embedded') }] } };
+    const tree = buildToggleTree([embedded, paragraph('Outside')]);
+
+    expect(tree.length).toBe(2);
+    expect(tree[0].children.map(({ block }) => block.data.text)).toEqual(['Embedded']);
+    expect(tree[1].block.data.text).toBe('Outside');
+  });
+
+  it('reads the blocks that follow the toggle when they are the embedded children', () => {
+    const child = { id: 'a', ...paragraph('Child') };
+    const blocks = [{ type: 'toggle', data: { items: 1, children: [{ ...child }] } }, child];
+    const [root] = buildToggleTree(blocks);
+
+    expect(root.children[0].block).toBe(child);
+  });
+
+  it('when the toggles have another tool name', () => {
+    const blocks = [{ type: 'details', data: { items: 1 } }, paragraph('Child')];
+
+    expect(buildToggleTree(blocks, 'details')[0].children.length).toBe(1);
+  });
+});
+
+describe('getAccordionGroups', () => {
+  const paragraph = (text) => ({ type: 'paragraph', data: { text } });
+  const toggle = (text, items, accordion) => ({ type: 'toggle', data: { text, items, accordion } });
+
+  it('groups the sibling toggles in accordion mode', () => {
+    const blocks = [
+      toggle('A', 2), toggle('A1', 0), toggle('A2', 0), toggle('B', 0, false), paragraph('Break'),
+      toggle('C', 0),
+    ];
+    const groups = getAccordionGroups(buildToggleTree(blocks), { accordion: true });
+    const names = blocks.map((block) => groups.get(block));
+
+    expect(names).toEqual(['accordion-1', 'accordion-3', 'accordion-3', undefined, undefined, 'accordion-2']);
+  });
+
+  it('when the accordion mode is set in the toggles', () => {
+    const blocks = [toggle('A', 0, true), toggle('B', 0)];
+    const groups = getAccordionGroups(buildToggleTree(blocks));
+
+    expect(groups.get(blocks[0])).toBe('accordion-1');
+    expect(groups.has(blocks[1])).toBe(false);
+  });
+});
@@ -0,0 +1,41 @@
+import createViewerState from '../src/viewerState';
+
+describe('createViewerState', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('keeps the statuses in the localStorage', () => {
+    const viewerState = createViewerState(true);
+
+    viewerState.set('fk-1', 'closed');
+
+    expect(viewerState.get('fk-1')).toBe('closed');
+    expect(viewerState.get('fk-2')).toBeNull();
+    expect(window.localStorage.getItem('editorjs-toggle-block:fk-1')).toBe('closed');
+  });
+
+  it('ignores the errors of the localStorage', () => {
+    const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+    const viewerState = createViewerState(true);
+
+    expect(() => viewerState.set('fk-1', 'open')).not.toThrow();
+    expect(viewerState.get('fk-1')).toBeNull();
+
+    setItem.mockRestore();
+  });
+
+  it('when a storage adapter is given', () => {
+    const adapter = { get: () => 'open', set: () => {} };
+
+    expect(createViewerState(adapter)).toBe(adapter);
+  });
+
+  it('when the viewer state is disabled', () => {
+    expect(createViewerState()).toBeNull();
+    expect(createViewerState(false)).toBeNull();
+    expect(createViewerState({ get: () => 'open' })).toBeNull();
+  });
+});
@@ -1,34 +1,55 @@
 const path = require('path');
 
-module.exports = {
-  entry: './src/index.js',
-
-  module: {
-    rules: [
-      {
-        test: /\.js$/,
-        exclude: /node_modules/,
-        use: [{ loader: 'babel-loader' }],
-      },
-
-      {
-        test: /\.css$/i,
-        use: ['style-loader', 'css-loader'],
-      },
-
-      {
-        test: /\.svg$/,
-        loader: 'svg-inline-loader',
-      },
-    ],
+const babelRule = {
+  test: /\.js$/,
+  exclude: /node_modules/,
+  use: [{ loader: 'babel-loader' }],
+};
+
+module.exports = [
+  {
+    entry: './src/index.js',
+
+    module: {
+      rules: [
+        babelRule,
+
+        {
+          test: /\.css$/i,
+          use: ['style-loader', 'css-loader'],
+        },
+
+        {
+          test: /\.svg$/,
+          loader: 'svg-inline-loader',
+        },
+      ],
+    },
+
+    output: {
+      path: path.join(__dirname, '/dist'),
+      publicPath: '/',
+      filename: 'bundle.js',
+      library: 'Toggle',
+      libraryTarget: 'umd',
+      libraryExport: 'default',
+    },
   },
 
-  output: {
-    path: path.join(__dirname, '/dist'),
-    publicPath: '/',
-    filename: 'bundle.js',
-    library: 'Toggle',
-    libraryTarget: 'umd',
-    libraryExport: 'default',
+  // DOM-free utilities to process the saved documents, e.g. on the server
+  {
+    entry: './src/utils/index.js',
+
+    module: {
+      rules: [babelRule],
+    },
+
+    output: {
+      path: path.join(__dirname, '/dist'),
+      filename: 'utils.js',
+      library: 'ToggleUtils',
+      libraryTarget: 'umd',
+      globalObject: 'this',
+    },
   },
-};
+];